@@ -10,9 +10,28 @@
     // #################################################################################################
 
     _noteCache: null,
-    _taskCache: null,
+    _taskCache: null, // { [noteUUID]: { updated, tasks } }
     _lastNoteCacheUpdate: null,
     _lastTaskCacheUpdate: null,
+    _staleTaskNotes: new Set(), // notes whose tasks must be re-fetched on the next read
+
+    // Tasks are re-synced at most every 15 minutes. A sync pass reloads note handles and only
+    // re-fetches tasks for notes whose updated timestamp changed since the last pass.
+    _taskCacheTTL: 15 * 60 * 1000, // 15 minutes in milliseconds
+
+    // Persistent cache snapshot. Tasks are the expensive part of the cache (one note.tasks() call
+    // per note), so the per-note task cache is saved along with each note's updated timestamp in a
+    // hidden system note. After a plugin reload, tasks are reused for every note whose updated
+    // timestamp still matches and only changed notes are re-fetched. Note handles themselves come from a
+    // single filterNotes call and are always loaded fresh, since they're what the snapshot is
+    // validated against.
+    // Only notes with open tasks are saved, with just the task fields the plugin reads, and a
+    // snapshot over _cacheSnapshotMaxChars isn't written at all (the previous one stays).
+    _cacheSnapshotNoteName: 'System Cache',
+    _cacheSnapshotVersion: 2,
+    _cacheSnapshotMaxChars: 500000,
+    _cacheSnapshotTaskFields: ['uuid', 'noteUUID', 'content', 'deadline', 'startAt', 'score'],
+    _skipCacheSnapshot: false, // set by refreshNoteCache to force one full rebuild
 
 /* // Removed TTL-based expiration to keep cache for tab lifetime
     _cacheTTL: 15 * 60 * 1000, // 15 minutes in milliseconds
@@ -23,11 +42,12 @@
       return (Date.now() - this._lastNoteCacheUpdate) < this._cacheTTL;
     },
 
-    _isTaskCacheValid: function() {
-      if (!this._lastTaskCacheUpdate) return false;
-      return (Date.now() - this._lastTaskCacheUpdate) < this._cacheTTL;
-    },
 */
+    _isTaskCacheFresh: function() {
+      if (!this._taskCache || !this._lastTaskCacheUpdate) return false;
+      return (Date.now() - this._lastTaskCacheUpdate) < this._taskCacheTTL;
+    },
+
     // Explicit cache invalidation methods
     invalidateNoteCache: function() {
       this._noteCache = null;
@@ -37,6 +57,15 @@
     invalidateTaskCache: function() {
       this._taskCache = null;
       this._lastTaskCacheUpdate = null;
+      this._staleTaskNotes.clear();
+    },
+
+    // Per-note invalidation: call after anything that may add, change, or complete tasks on a
+    // note (creating it from a template, rewriting a section, etc.). Only that note's tasks are
+    // re-fetched on the next read.
+    invalidateNoteTasks: function(noteUUID) {
+      if (!this._taskCache) return;
+      this._staleTaskNotes.add(noteUUID);
     },
 
     // Update cache entries in-place when tags are added
@@ -67,10 +96,70 @@
     refreshNoteCache: async function(app) {
       // Invalidate any existing cache
       plugin.invalidateNoteCache();
+      // Drop cached tasks too, and don't trust the saved snapshot on the next task rebuild
+      plugin.invalidateTaskCache();
+      plugin._skipCacheSnapshot = true;
       // Fetch fresh notes and repopulate cache
       await this._getCachedNotes(app);      
     },
 
+    // Loads the saved cache snapshot from the System Cache note, or null if there isn't a
+    // usable one (missing note, unparseable JSON, or an older snapshot format)
+    loadCacheSnapshot: async function(app) {
+      const snapshotNote = await app.findNote({ name: this._cacheSnapshotNoteName });
+      if (!snapshotNote) return null;
+
+      const content = await app.getNoteContent(snapshotNote);
+      const match = content.match(/```json\n([\s\S]*?)```/);
+      if (!match) return null;
+
+      try {
+        const snapshot = JSON.parse(match[1]);
+        if (snapshot.version !== this._cacheSnapshotVersion || !snapshot.tasks) return null;
+        return snapshot;
+      } catch (_err) {
+        return null;
+      }
+    },
+
+    // Saves the per-note task cache to the System Cache note, creating the note if needed.
+    // The note is tagged "exclude" so it never shows up in the note cache or any list.
+    // savedAt is when the sync pass started: a note left out of the snapshot (no open tasks)
+    // whose updated time is no later than that still has none.
+    saveCacheSnapshot: async function(app, tasksByNote, savedAt = new Date().toISOString()) {
+      const tasks = {};
+      for (const [uuid, entry] of Object.entries(tasksByNote)) {
+        if (entry.tasks.length === 0) continue;
+        tasks[uuid] = {
+          updated: entry.updated,
+          tasks: entry.tasks.map((task) =>
+            Object.fromEntries(
+              this._cacheSnapshotTaskFields
+                .filter((field) => task[field] !== undefined && task[field] !== null)
+                .map((field) => [field, task[field]]),
+            ),
+          ),
+        };
+      }
+      const snapshot = { version: this._cacheSnapshotVersion, savedAt, tasks };
+      // Escape backticks so task text can't close the code fence early
+      const json = JSON.stringify(snapshot).replace(/`/g, '\\u0060');
+      if (json.length > this._cacheSnapshotMaxChars) return;
+      const content =
+        '_Generated by the GTD plugin. Do not edit; run "Refresh Note Cache" to rebuild._\n\n' +
+        '```json\n' + json + '\n```';
+
+      let snapshotNote = await app.findNote({ name: this._cacheSnapshotNoteName });
+      if (!snapshotNote) {
+        // Create the note (returns temporary local UUID), then refetch for the persisted uuid
+        await app.createNote(this._cacheSnapshotNoteName, ['system', 'exclude']);
+        snapshotNote = await app.findNote({ name: this._cacheSnapshotNoteName });
+      }
+      if (!snapshotNote) return;
+
+      await app.replaceNoteContent({ uuid: snapshotNote.uuid }, content);
+    },
+
     // Get filtered notes with caching
     _getCachedNotes: async function(app, baseTag = '', domainTags = []) {
       // If cache doesn't exist, refresh it
@@ -108,30 +197,339 @@
       return filtered;
     },
 
-    // Get cached tasks (now independent of note cache)
-    _getCachedTasks: async function(app, baseTag = '', domainTags = []) {
-      // If no task cache exists or cache is invalid
+    // Re-syncs the per-note task cache with the notebook. Note handles are reloaded, and tasks are
+    // re-fetched only for notes that are new, marked stale, or whose updated timestamp changed;
+    // every other note keeps its cached entry across TTL windows. The first pass after a reload
+    // starts from the saved snapshot instead of an empty cache.
+    _syncTaskCache: async function(app) {
+      const syncedAt = new Date().toISOString();
+      // Reload note handles so updated timestamps are current
+      this.invalidateNoteCache();
+      const notes = await this._getCachedNotes(app);
+
+      // Notes the snapshot left out had no open tasks when it was saved
+      let emptyUntil = 0;
       if (!this._taskCache) {
-        const notes = await this._getCachedNotes(app, baseTag, domainTags);
-        const allTasks = [];
-        
-        for (const handle of notes) {
-          const note = await app.notes.find(handle.uuid);
-          if (!note) continue;
-          
-          const noteTasks = await note.tasks();
-          allTasks.push(...noteTasks);
+        const snapshot = this._skipCacheSnapshot ? null : await this.loadCacheSnapshot(app);
+        this._taskCache = snapshot?.tasks || {};
+        emptyUntil = snapshot ? Date.parse(snapshot.savedAt) || 0 : 0;
+      }
+      const tasksByNote = this._taskCache;
+
+      let changed = false;
+      const current = new Set();
+      for (const handle of notes) {
+        current.add(handle.uuid);
+        if (!tasksByNote[handle.uuid] && Date.parse(handle.updated) <= emptyUntil) {
+          tasksByNote[handle.uuid] = { updated: handle.updated, tasks: [] };
         }
-        
-        this._taskCache = allTasks;
-        this._lastTaskCacheUpdate = Date.now();
+        const cached = tasksByNote[handle.uuid];
+        if (
+          cached &&
+          handle.updated &&
+          cached.updated === handle.updated &&
+          !this._staleTaskNotes.has(handle.uuid)
+        ) {
+          continue;
+        }
+
+        const note = await app.notes.find(handle.uuid);
+        if (!note) continue;
+
+        const noteTasks = await note.tasks();
+        tasksByNote[handle.uuid] = { updated: handle.updated, tasks: noteTasks };
+        changed = true;
       }
-      
-      return this._taskCache;
+
+      // Drop notes that were deleted, archived or excluded since the last pass
+      for (const uuid of Object.keys(tasksByNote)) {
+        if (current.has(uuid)) continue;
+        delete tasksByNote[uuid];
+        changed = true;
+      }
+
+      this._lastTaskCacheUpdate = Date.now();
+      this._staleTaskNotes.clear();
+
+      // Only rewrite the snapshot when something actually changed
+      if (changed) await this.saveCacheSnapshot(app, tasksByNote, syncedAt);
+      this._skipCacheSnapshot = false;
+    },
+
+    // Re-fetches tasks for notes flagged by invalidateNoteTasks without a full sync pass
+    _refetchStaleTasks: async function(app) {
+      for (const noteUUID of this._staleTaskNotes) {
+        const note = await app.notes.find(noteUUID);
+        if (!note) {
+          delete this._taskCache[noteUUID];
+          continue;
+        }
+
+        const noteTasks = await note.tasks();
+        this._taskCache[noteUUID] = { updated: note.updated, tasks: noteTasks };
+      }
+      this._staleTaskNotes.clear();
+    },
+
+    // Get cached tasks for notes matching the optional base tag and domain tags
+    _getCachedTasks: async function(app, baseTag = '', domainTags = []) {
+      if (!this._isTaskCacheFresh()) {
+        await this._syncTaskCache(app);
+      } else if (this._staleTaskNotes.size > 0) {
+        await this._refetchStaleTasks(app);
+      }
+
+      const notes = await this._getCachedNotes(app, baseTag, domainTags);
+      return notes.flatMap((n) => this._taskCache[n.uuid]?.tasks || []);
     },
 
     //#endregion
     
+    //#region Settings Functions
+    // #################################################################################################
+    // #################################################################################################
+    //
+    //                                     Settings Functions
+    //
+    // #################################################################################################
+    // #################################################################################################
+
+    // Defaults used when a setting isn't configured (or is configured with an invalid value)
+    defaultSettings: {
+      inboxNoteName: 'Inbox',
+      categoriesNoteName: 'System Categories',
+      cleanupSectionHeading: 'Tagging Cleanup',
+      workJotTemplateName: 'Daily Jot template (work)',
+      homeJotTemplateName: 'Daily Jot template (home)',
+      headingTemplates: {
+        project: 'Project Heading Template',
+        people: 'People Heading Template',
+        software: 'Software Heading Template',
+        horizon: 'Horizon Heading Template',
+        reference: 'Reference Heading Template',
+      },
+      domains: [
+        { label: 'Home', tag: 'd/home' },
+        { label: 'Work', tag: 'd/work' },
+      ],
+      timeZone: 'America/Los_Angeles',
+      calendarUpcomingDeadlines: false,
+      // Future days without a jot: "create" them, show plain "text", or a "link" that creates one
+      calendarFutureJots: 'create',
+      // Daily jot template rules, checked in order before the weekday/weekend templates, e.g.
+      // { "when": "weekday", "days": ["monday"], "template": "Monday Planning" }
+      // when: "weekday" (days), "date" (dates), "holiday", "first-workday" or "last-workday"
+      jotTemplateRules: [],
+      // Dates that aren't workdays: "YYYY-MM-DD" for one day, "MM-DD" for every year
+      holidays: [],
+      // How daily jots are named (see _jotNameCodec for the tokens), and the language for names
+      jotNamePattern: 'MMMM Do, YYYY',
+      jotNameLocale: 'en-US',
+    },
+
+    // Plugin setting that names the config note, and the config note's default name
+    settingsNoteSettingLabel: 'Settings note name (default "System Settings")',
+    defaultSettingsNoteName: 'System Settings',
+
+    _settings: null,
+
+    // ===============================================================================================
+    // Returns the settings loaded by loadSettings, or the defaults if settings haven't been loaded.
+    // Synchronous so helpers like convertDeadlineToTimeZone can use it.
+    // ===============================================================================================
+    getSettings: function () {
+      return this._settings || this.defaultSettings;
+    }, // end getSettings
+
+    // ===============================================================================================
+    // Loads settings, validates them, and stores the result for getSettings. Sources, lowest to
+    // highest priority:
+    //   1. defaultSettings
+    //   2. A ```json block in the settings note ("System Settings" unless renamed in app.settings)
+    //   3. app.settings entries named after a setting key (objects/arrays as JSON strings)
+    // Invalid values fall back to the default, and the user is told what was wrong.
+    // Called from: every appOption, noteOption, and linkOption entry point
+    // ===============================================================================================
+    loadSettings: async function (app) {
+      const plugin = this;
+      const defaults = plugin.defaultSettings;
+      const problems = [];
+      let configured = {};
+
+      // === Step 1: JSON block in the settings note ===
+      const noteName =
+        app.settings?.[plugin.settingsNoteSettingLabel] || plugin.defaultSettingsNoteName;
+      const settingsNote = await app.findNote({ name: noteName });
+      if (settingsNote) {
+        const content = await app.getNoteContent(settingsNote);
+        const match = content.match(/```json\n([\s\S]*?)```/);
+        if (match) {
+          try {
+            configured = JSON.parse(match[1]);
+          } catch (err) {
+            problems.push(`"${noteName}" JSON could not be parsed (${err.message})`);
+          }
+        }
+      }
+
+      // === Step 2: Individual plugin settings override the note ===
+      for (const key of Object.keys(defaults)) {
+        const raw = app.settings?.[key];
+        if (typeof raw !== 'string' || raw.trim() === '') continue;
+
+        if (typeof defaults[key] === 'string') {
+          configured[key] = raw.trim();
+        } else {
+          try {
+            configured[key] = JSON.parse(raw);
+          } catch (_err) {
+            problems.push(`Plugin setting "${key}" must be JSON`);
+          }
+        }
+      }
+
+      // === Step 3: Validate and merge over the defaults ===
+      const settings = {};
+      for (const [key, defaultValue] of Object.entries(defaults)) {
+        const value = configured[key];
+        if (value === undefined) {
+          settings[key] = defaultValue;
+          continue;
+        }
+
+        const problem = plugin.validateSetting(key, value);
+        if (problem) {
+          problems.push(problem);
+          settings[key] = defaultValue;
+        } else if (key === 'headingTemplates') {
+          // Allow overriding only some of the templates
+          settings[key] = { ...defaultValue, ...value };
+        } else {
+          settings[key] = value;
+        }
+      }
+
+      for (const key of Object.keys(configured)) {
+        if (!(key in defaults)) problems.push(`Unknown setting "${key}" ignored`);
+      }
+
+      plugin._settings = settings;
+      // Jot name codecs are rebuilt on demand from the new settings
+      plugin._jotNameCodecs.clear();
+
+      if (problems.length > 0) {
+        await app.alert(
+          '⚠️ Some GTD settings were invalid; using defaults for them:\n\n' +
+            problems.map((p) => `• ${p}`).join('\n'),
+        );
+      }
+
+      return settings;
+    }, // end loadSettings
+
+    // ===============================================================================================
+    // Returns a description of what's wrong with a setting value, or null if it's valid
+    // Called from: loadSettings
+    // ===============================================================================================
+    validateSetting: function (key, value) {
+      const defaultValue = this.defaultSettings[key];
+
+      if (typeof defaultValue === 'string') {
+        if (typeof value !== 'string' || value.trim() === '') {
+          return `"${key}" must be a non-empty string`;
+        }
+      }
+
+      if (typeof defaultValue === 'boolean' && typeof value !== 'boolean') {
+        return `"${key}" must be true or false`;
+      }
+
+      if (key === 'calendarFutureJots' && !['create', 'text', 'link'].includes(value)) {
+        return '"calendarFutureJots" must be "create", "text" or "link"';
+      }
+
+      if (key === 'jotNameLocale') {
+        try {
+          new Intl.DateTimeFormat(value);
+        } catch (_err) {
+          return `"${value}" is not a valid locale`;
+        }
+      }
+
+      if (key === 'jotNamePattern') {
+        const tokens = value.replace(/\[[^\]]*\]/g, '');
+        if (!tokens.includes('YYYY') || !/M/.test(tokens) || !/D/.test(tokens)) {
+          return '"jotNamePattern" needs a year (YYYY), a month (M…) and a day (D, DD or Do)';
+        }
+      }
+
+      if (key === 'timeZone') {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+        } catch (_err) {
+          return `"${value}" is not a valid time zone`;
+        }
+      }
+
+      if (key === 'headingTemplates') {
+        const validTypes = Object.keys(defaultValue);
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          return '"headingTemplates" must be an object of note type → template note name';
+        }
+        for (const [type, name] of Object.entries(value)) {
+          if (!validTypes.includes(type)) {
+            return `"headingTemplates" has unknown note type "${type}"`;
+          }
+          if (typeof name !== 'string' || name.trim() === '') {
+            return `"headingTemplates.${type}" must be a non-empty string`;
+          }
+        }
+      }
+
+      if (key === 'holidays') {
+        if (!Array.isArray(value) || !value.every((d) => /^(\d{4}-)?\d{2}-\d{2}$/.test(d))) {
+          return '"holidays" must be a list of "YYYY-MM-DD" or "MM-DD" dates';
+        }
+      }
+
+      if (key === 'jotTemplateRules') {
+        if (!Array.isArray(value)) return '"jotTemplateRules" must be a list of rules';
+        const kinds = ['weekday', 'date', 'holiday', 'first-workday', 'last-workday'];
+        for (const rule of value) {
+          if (!kinds.includes(rule?.when)) {
+            return `"jotTemplateRules" entries need "when" set to one of: ${kinds.join(', ')}`;
+          }
+          if (typeof rule.template !== 'string' || rule.template.trim() === '') {
+            return '"jotTemplateRules" entries need a "template" note name';
+          }
+          const days = rule.days || [];
+          if (rule.when === 'weekday' && !days.every((d) => this.parseWeekday(d) !== null)) {
+            return '"jotTemplateRules" weekday rules need "days" like ["monday", "fri"]';
+          }
+          const dates = rule.dates || [];
+          if (rule.when === 'date' && !dates.every((d) => /^(\d{4}-)?\d{2}-\d{2}$/.test(d))) {
+            return '"jotTemplateRules" date rules need "dates" like ["2025-12-24", "07-04"]';
+          }
+        }
+      }
+
+      if (key === 'domains') {
+        if (!Array.isArray(value)) return '"domains" must be a list of { label, tag }';
+        for (const domain of value) {
+          if (
+            typeof domain?.label !== 'string' ||
+            typeof domain?.tag !== 'string' ||
+            !domain.tag.startsWith('d/')
+          ) {
+            return '"domains" entries need a label and a tag starting with "d/"';
+          }
+        }
+      }
+
+      return null;
+    }, // end validateSetting
+    //#endregion
+
     //#region Calendar Functions
     // #################################################################################################
     // #################################################################################################
@@ -146,105 +544,425 @@
     // Called from: 
     // ===============================================================================================
     _getMostRecentSunday: function() {
-      const today = new Date();
-      const dayOfWeek = today.getDay(); // 0 = Sunday
-      const daysToSubtract = dayOfWeek; // If today is Wed(3), go back 3 days
-      
-      const sunday = new Date(today);
-      sunday.setDate(today.getDate() - daysToSubtract);
-      sunday.setHours(0, 0, 0, 0);
-      return sunday;
+      return this._getWeekStart(new Date(), 0);
     }, //end _getMostRecentSunday
 
-    // ===============================================================================================  
-    // Build the 5-week calendar
-    // Called from: 
     // ===============================================================================================
-    _buildFiveWeekCalendar: async function(app) {
+    // Midnight on the first day of the week containing `date`. weekStartsOn: 0 = Sunday, 1 = Monday
+    // Called from: _getMostRecentSunday, _getCalendarBlocks
+    // ===============================================================================================
+    _getWeekStart: function(date, weekStartsOn = 0) {
+      const start = new Date(date);
+      const daysToSubtract = (start.getDay() - weekStartsOn + 7) % 7; // Wed(3), Sunday-first → 3
+      start.setDate(start.getDate() - daysToSubtract);
+      start.setHours(0, 0, 0, 0);
+      return start;
+    }, // end _getWeekStart
+
+    // ===============================================================================================
+    // Reads the view options from a Calendar section heading, or returns null if the heading
+    // isn't a calendar. Options go in brackets, separated by spaces or commas:
+    //   "Calendar"                  → rolling 5 weeks from the week before this one (the default)
+    //   "Calendar [8 weeks]"        → rolling N weeks ("8w" works too)
+    //   "Calendar [month]"          → the current month
+    //   "Calendar [quarter]"        → the three months of the current quarter
+    //   "Calendar [month, monday]"  → any view with ISO Monday-first weeks
+    // Called from: updateCalendarSection
+    // ===============================================================================================
+    _parseCalendarView: function(headingText) {
+      const match = headingText?.trim().match(/^calendar\s*(?:\[([^\]]*)\])?$/i);
+      if (!match) return null;
+      
+      const view = { range: "weeks", weeks: 5, weekStartsOn: 0 };
+      const options = (match[1] || "").toLowerCase().split(/[\s,]+/).filter(Boolean);
+      for (let i = 0; i < options.length; i++) {
+        const option = options[i];
+        if (option === "month" || option === "quarter") view.range = option;
+        else if (option === "monday" || option === "iso") view.weekStartsOn = 1;
+        else if (option === "sunday") view.weekStartsOn = 0;
+        else if (/^\d+w$/.test(option)) view.weeks = parseInt(option, 10);
+        else if (/^\d+$/.test(option) && /^weeks?$/.test(options[i + 1] || "")) {
+          view.weeks = parseInt(option, 10);
+          i++;
+        }
+      }
+      view.weeks = Math.min(Math.max(view.weeks, 1), 26);
+      return view;
+    }, // end _parseCalendarView
+
+    // ===============================================================================================
+    // Lays out the days for a calendar view as blocks of { label, days }, one table each. Days are
+    // whole weeks starting on view.weekStartsOn; month and quarter views pad the weeks with null
+    // for days outside the month, and label each block with the month's name.
+    // Called from: _buildCalendar
+    // ===============================================================================================
+    _getCalendarBlocks: function(view) {
       const plugin = this;
+      const today = new Date();
+      const locale = plugin.getSettings().jotNameLocale;
+      
+      if (view.range === "weeks") {
+        // Start one week before the current week
+        const startDate = plugin._getWeekStart(today, view.weekStartsOn);
+        startDate.setDate(startDate.getDate() - 7);
+        
+        const days = [];
+        for (let i = 0; i < view.weeks * 7; i++) {
+          const date = new Date(startDate);
+          date.setDate(startDate.getDate() + i);
+          days.push(date);
+        }
+        return [{ label: null, days }];
+      }
       
-      // Start one week before most recent Sunday
-      const startDate = plugin._getMostRecentSunday();
-      startDate.setDate(startDate.getDate() - 7);
+      const firstMonth = view.range === "quarter"
+        ? Math.floor(today.getMonth() / 3) * 3
+        : today.getMonth();
+      const monthCount = view.range === "quarter" ? 3 : 1;
       
-      // Build 35 days (5 weeks)
-      const days = [];
-      for (let i = 0; i < 35; i++) {
-        const date = new Date(startDate);
-        date.setDate(startDate.getDate() + i);
-        days.push(date);
+      const blocks = [];
+      for (let m = firstMonth; m < firstMonth + monthCount; m++) {
+        const first = new Date(today.getFullYear(), m, 1);
+        const totalDays = new Date(today.getFullYear(), m + 1, 0).getDate();
+        const leading = (first.getDay() - view.weekStartsOn + 7) % 7;
+        
+        const days = Array(leading).fill(null);
+        for (let d = 1; d <= totalDays; d++) days.push(new Date(today.getFullYear(), m, d));
+        while (days.length % 7 !== 0) days.push(null);
+        
+        const label = first.toLocaleString(locale, { month: "long", year: "numeric" });
+        blocks.push({ label, days });
       }
+      return blocks;
+    }, // end _getCalendarBlocks
+
+    // ===============================================================================================  
+    // Builds the markdown for a calendar view (see _parseCalendarView)
+    // Called from: updateCalendarSection
+    // ===============================================================================================
+    _buildCalendar: async function(app, view) {
+      const plugin = this;
       
-      // Create/find jots for each day
+      const blocks = plugin._getCalendarBlocks(view);
+      const days = blocks.flatMap((block) => block.days).filter(Boolean);
+      
+      // Create/find jots for each day. Past jots are only created from the start of last week
+      // (what the five-week calendar always covered), so month and quarter views don't fill the
+      // notebook with empty back-dated jots. Future jots are only looked up unless the
+      // calendarFutureJots setting asks for them to be created ahead of time.
+      const createFuture = plugin.getSettings().calendarFutureJots === 'create';
+      const todayKey = plugin._calendarDateKey(new Date());
+      const createFrom = plugin._getWeekStart(new Date(), view.weekStartsOn);
+      createFrom.setDate(createFrom.getDate() - 7);
+      const createFromKey = plugin._calendarDateKey(createFrom);
+      const jotsByDate = await plugin._getDailyJotsByDate(app);
       const jotMap = new Map();
       for (const date of days) {
-        const jot = await plugin._getOrCreateDailyJot(app, date);
+        const dateKey = plugin._calendarDateKey(date);
+        const create = dateKey > todayKey ? createFuture : dateKey >= createFromKey;
+        const jot = create
+          ? await plugin._getOrCreateDailyJot(app, date, jotsByDate)
+          : await plugin._findDailyJot(app, date, jotsByDate);
         const dayKey = `${date.getMonth()}-${date.getDate()}`;
-        jotMap.set(dayKey, jot);
+        if (jot) jotMap.set(dayKey, jot);
+      }
+      
+      // Open tasks with deadlines, by the day they're due
+      const deadlineTasks = (await plugin.getAllTasks(app)).filter((task) => task.deadline);
+      const deadlinesByDay = new Map();
+      for (const task of deadlineTasks) {
+        const dueKey = plugin._calendarDateKey(new Date(task.deadline * 1000));
+        if (!deadlinesByDay.has(dueKey)) deadlinesByDay.set(dueKey, []);
+        deadlinesByDay.get(dueKey).push(task);
+      }
+      
+      // Build one markdown table per block
+      const createLinks = plugin.getSettings().calendarFutureJots === 'link';
+      let md = blocks
+        .map((block) => {
+          const table = plugin._createCalendarMarkdown(
+            block.days,
+            jotMap,
+            deadlinesByDay,
+            createLinks,
+            view.weekStartsOn
+          );
+          return block.label ? `**${block.label}**\n${table}` : table;
+        })
+        .join("\n");
+      
+      // Optionally list what's due (and overdue) through the last day shown
+      if (plugin.getSettings().calendarUpcomingDeadlines) {
+        const lastDay = new Date(days[days.length - 1]);
+        lastDay.setHours(23, 59, 59, 999);
+        const upcoming = deadlineTasks.filter((task) => task.deadline * 1000 <= lastDay.getTime());
+        md += "\n" + await plugin._createUpcomingDeadlinesMarkdown(app, upcoming);
       }
       
-      // Build markdown table
-      return plugin._createCalendarMarkdown(days, jotMap);
-    }, // end _buildFiveWeekCalendar
+      return { markdown: md, dayCount: days.length };
+    }, // end _buildCalendar
 
     // ===============================================================================================
-    // Get or create a Daily Jot for a specific date
-    // Called from: _buildFiveWeekCalendar
+    // Get or create a Daily Jot for a specific date. Pass jotsByDate (from _getDailyJotsByDate)
+    // when looking up many days, so renamed jots are found without rescanning every time.
+    // Called from: _buildCalendar, closeProject, linkOption "Create Daily Jot"
     // ===============================================================================================
-    _getOrCreateDailyJot: async function(app, date) {
+    _getOrCreateDailyJot: async function(app, date, jotsByDate = null) {
       const plugin = this;
       
-      // Format: "November 24th, 2025"
-      const jotName = plugin._formatJotName(date);
-      
       // Check if jot already exists
-      let jot = await app.findNote({ name: jotName });
+      let jot = await plugin._findDailyJot(app, date, jotsByDate);
       
       if (!jot) {
         // Create new jot with appropriate template
-        jot = await plugin._createNewJot(app, date, jotName);
+        jot = await plugin._createNewJot(app, date, plugin._formatJotName(date), jotsByDate);
       }
       
       return jot;
     }, // end _getOrCreateDailyJot
 
     // ===============================================================================================
-    // Format date as "November 24th, 2025"
-    // Called from: _getOrCreateDailyJot
+    // Finds the daily jot for a date: by its expected name first, then among all daily jots by
+    // the date in their titles (for jots named with another pattern or renamed by hand)
+    // Called from: _getOrCreateDailyJot, _buildCalendar, _expandJotTemplate
+    // ===============================================================================================
+    _findDailyJot: async function(app, date, jotsByDate = null) {
+      const jot = await app.findNote({ name: this._formatJotName(date) });
+      if (jot) return jot;
+      
+      const byDate = jotsByDate || await this._getDailyJotsByDate(app);
+      return byDate.get(this._calendarDateKey(date)) || null;
+    }, // end _findDailyJot
+
+    // ===============================================================================================
+    // Map of _calendarDateKey -> daily jot, for every daily-jots note whose title has a date
+    // Called from: _findDailyJot, _buildCalendar
+    // ===============================================================================================
+    _getDailyJotsByDate: async function(app) {
+      const jots = await app.filterNotes({ tag: "daily-jots" });
+      const byDate = new Map();
+      for (const jot of jots) {
+        const date = this.parseJotName(jot.name);
+        if (date && !byDate.has(this._calendarDateKey(date))) {
+          byDate.set(this._calendarDateKey(date), jot);
+        }
+      }
+      return byDate;
+    }, // end _getDailyJotsByDate
+
+    // ===============================================================================================
+    // Format date as a daily jot name using the jotNamePattern and jotNameLocale settings
+    // (by default "November 24th, 2025")
+    // Called from: _getOrCreateDailyJot, _findDailyJot, _expandJotTemplate, weeklyReview
     // ===============================================================================================
     _formatJotName: function(date) {
-      const month = date.toLocaleString('en-US', { month: 'long' });
-      const day = date.getDate();
-      const year = date.getFullYear();
+      const settings = this.getSettings();
+      return this._jotNameCodec(settings.jotNamePattern, settings.jotNameLocale).format(date);
+    }, // end _formatJotName
+
+    // ===============================================================================================
+    // Reads the date back out of a daily jot title, or returns null. Tries the configured pattern,
+    // then the default pattern (for jots created before the setting changed), each first as the
+    // whole title and then anywhere in it (for jots renamed to add a note), and finally an ISO
+    // "YYYY-MM-DD" date.
+    // Called from: _getDailyJotsByDate, updateRecentUpdatesSection, renameDailyJots
+    // ===============================================================================================
+    parseJotName: function(title) {
+      const settings = this.getSettings();
+      const defaults = this.defaultSettings;
+      const codecs = [
+        this._jotNameCodec(settings.jotNamePattern, settings.jotNameLocale),
+        this._jotNameCodec(defaults.jotNamePattern, defaults.jotNameLocale),
+      ];
+      for (const anywhere of [false, true]) {
+        for (const codec of codecs) {
+          const date = codec.parse(title || "", { anywhere });
+          if (date) return date;
+        }
+      }
+      
+      const iso = (title || "").match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+      if (!iso) return null;
+      const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+      return date.getDate() === Number(iso[3]) ? date : null;
+    }, // end parseJotName
+
+    // ===============================================================================================
+    // Formats and parses jot titles for a pattern and locale. Pattern tokens:
+    //   YYYY year · MMMM month name · MMM short month name · MM / M month number
+    //   Do day with ordinal ("24th"; "24." outside English) · DD / D day number
+    //   dddd weekday name · ddd short weekday name · [text] literal text
+    // Returns { format(date), parse(title, { anywhere }) }; parse returns a Date or null.
+    // Codecs are built once per pattern and locale (the Intl lookups are slow enough to matter
+    // when parsing every daily jot) and cached until loadSettings runs again.
+    // Called from: _formatJotName, parseJotName, renameDailyJots
+    // ===============================================================================================
+    _jotNameCodecs: new Map(), // "pattern|locale" -> codec
+
+    _jotNameCodec: function(pattern, locale) {
+      const key = `${pattern}|${locale}`;
+      if (!this._jotNameCodecs.has(key)) {
+        this._jotNameCodecs.set(key, this._buildJotNameCodec(pattern, locale));
+      }
+      return this._jotNameCodecs.get(key);
+    }, // end _jotNameCodec
+
+    // Builds the codec _jotNameCodec caches: name lists and both parse regexes are computed once
+    _buildJotNameCodec: function(pattern, locale) {
+      const tokenRegex = /\[([^\]]*)\]|YYYY|MMMM|MMM|MM|M|Do|DD|D|dddd|ddd/g;
+      const english = locale.toLowerCase().startsWith("en");
+      
+      // Names as they appear in a date (some languages inflect month names), plus stand-alone
+      const namesOf = (dates, options, type) => {
+        const formatter = new Intl.DateTimeFormat(locale, options);
+        return dates.map(
+          (date) => formatter.formatToParts(date).find((p) => p.type === type)?.value || ""
+        );
+      };
+      const months = Array.from({ length: 12 }, (_, i) => new Date(2000, i, 15));
+      const weekdays = Array.from({ length: 7 }, (_, i) => new Date(2000, 0, 2 + i)); // Sun–Sat
+      const names = {
+        MMMM: namesOf(months, { day: "numeric", month: "long" }, "month"),
+        MMM: namesOf(months, { day: "numeric", month: "short" }, "month"),
+        dddd: namesOf(weekdays, { weekday: "long" }, "weekday"),
+        ddd: namesOf(weekdays, { weekday: "short" }, "weekday"),
+      };
+      const standalone = {
+        MMMM: namesOf(months, { month: "long" }, "month"),
+        MMM: namesOf(months, { month: "short" }, "month"),
+      };
       
-      // Add ordinal suffix (st, nd, rd, th)
       const ordinal = (day) => {
+        if (!english) return `${day}.`;
         const s = ["th", "st", "nd", "rd"];
         const v = day % 100;
         return day + (s[(v - 20) % 10] || s[v] || s[0]);
       };
+      const pad = (n) => String(n).padStart(2, "0");
       
-      return `${month} ${ordinal(day)}, ${year}`;
-    }, // end _formatJotName
+      const format = (date) =>
+        pattern.replace(tokenRegex, (token, literal) => {
+          if (literal !== undefined) return literal;
+          switch (token) {
+            case "YYYY": return String(date.getFullYear());
+            case "MMMM": return names.MMMM[date.getMonth()];
+            case "MMM": return names.MMM[date.getMonth()];
+            case "MM": return pad(date.getMonth() + 1);
+            case "M": return String(date.getMonth() + 1);
+            case "Do": return ordinal(date.getDate());
+            case "DD": return pad(date.getDate());
+            case "D": return String(date.getDate());
+            case "dddd": return names.dddd[date.getDay()];
+            case "ddd": return names.ddd[date.getDay()];
+          }
+          return token;
+        });
+      
+      // Build a regex from the pattern, remembering which capture group holds which field
+      const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+      const alternation = (list) =>
+        `(${[...new Set(list)].sort((a, b) => b.length - a.length).map(escape).join("|")})`;
+      const fields = [];
+      let source = "";
+      let last = 0;
+      for (const match of pattern.matchAll(tokenRegex)) {
+        source += escape(pattern.slice(last, match.index));
+        last = match.index + match[0].length;
+        if (match[1] !== undefined) {
+          source += escape(match[1]);
+          continue;
+        }
+        const token = match[0];
+        if (token === "YYYY") source += "(\\d{4})";
+        else if (token === "MMMM" || token === "MMM") {
+          source += alternation([...names[token], ...standalone[token]]);
+        } else if (token === "MM" || token === "M") source += "(\\d{1,2})";
+        else if (token === "Do") source += "(\\d{1,2})(?:st|nd|rd|th|\\.)?";
+        else if (token === "DD" || token === "D") source += "(\\d{1,2})";
+        else source += alternation(names[token]);
+        fields.push(token);
+      }
+      source += escape(pattern.slice(last));
+      const wholeTitle = new RegExp(`^\\s*${source}\\s*$`, "i");
+      const anywhereInTitle = new RegExp(source, "i");
+      
+      const parse = (title, { anywhere = false } = {}) => {
+        const match = title.match(anywhere ? anywhereInTitle : wholeTitle);
+        if (!match) return null;
+        
+        let year = null;
+        let month = null;
+        let day = null;
+        fields.forEach((token, i) => {
+          const value = match[i + 1];
+          if (token === "YYYY") year = Number(value);
+          else if (token === "MMMM" || token === "MMM") {
+            const lower = value.toLowerCase();
+            month = names[token].findIndex((n) => n.toLowerCase() === lower);
+            if (month === -1) month = standalone[token].findIndex((n) => n.toLowerCase() === lower);
+          } else if (token === "MM" || token === "M") month = Number(value) - 1;
+          else if (token === "Do" || token === "DD" || token === "D") day = Number(value);
+        });
+        if (year === null || month === null || month < 0 || month > 11 || !day) return null;
+        
+        const date = new Date(year, month, day);
+        return date.getMonth() === month ? date : null; // rejects e.g. February 30th
+      };
+      
+      return { format, parse };
+    }, // end _buildJotNameCodec
+
+    // ===============================================================================================
+    // Renames every daily jot to a new pattern/locale. Titles are read with parseJotName (so the
+    // current settings must still describe the old names) and a jot is left alone when its title
+    // has no date or another note already has the new name.
+    // Returns { renamed, unparsed: [names], conflicts: [names] }
+    // Called from: appOption "Rename Daily Jots…"
+    // ===============================================================================================
+    renameDailyJots: async function(app, pattern, locale) {
+      const plugin = this;
+      const codec = plugin._jotNameCodec(pattern, locale);
+      const jots = await app.filterNotes({ tag: "daily-jots" });
+      const result = { renamed: 0, unparsed: [], conflicts: [] };
+      
+      for (const jot of jots) {
+        const date = plugin.parseJotName(jot.name);
+        if (!date) {
+          result.unparsed.push(jot.name);
+          continue;
+        }
+        
+        const newName = codec.format(date);
+        if (newName === jot.name) continue;
+        
+        const existing = await app.findNote({ name: newName });
+        if (existing && existing.uuid !== jot.uuid) {
+          result.conflicts.push(jot.name);
+          continue;
+        }
+        
+        await app.setNoteName(jot, newName);
+        result.renamed++;
+      }
+      
+      return result;
+    }, // end renameDailyJots
 
     // ===============================================================================================
-    // Create a new Daily Jot with appropriate template based on day of week
+    // Create a new Daily Jot with appropriate template based on day of week. jotsByDate is passed
+    // on to the template so its yesterday/tomorrow links reuse the caller's lookup.
     // Called from: _getOrCreateDailyJot
     // ===============================================================================================  
-    _createNewJot: async function(app, date, jotName) {
-      const dayOfWeek = date.getDay(); // 0=Sun, 6=Sat
-      const isWeekend = (dayOfWeek === 0 || dayOfWeek === 6);
-      
-      // Choose template based on day
-      const templateName = isWeekend 
-        ? "Daily Jot template (home)" 
-        : "Daily Jot template (work)";
+    _createNewJot: async function(app, date, jotName, jotsByDate = null) {
+      // Choose template based on the rules, then the day of the week
+      const templateName = this._selectJotTemplate(date);
       
       const template = await app.findNote({ name: templateName });
       let content = "";
       
       if (template) {
         content = await app.getNoteContent(template);
+        content = await this._expandJotTemplate(app, content, date, jotsByDate);
       }
       
       // Create the jot (returns temporary local UUID)
@@ -262,47 +980,251 @@
       // Now use the stable UUID for content insertion
       if (content) {
         await app.replaceNoteContent({ uuid: jot.uuid }, content);
+        // Templates can contain tasks
+        this.invalidateNoteTasks(jot.uuid);
       }
       
       return jot;
     }, // end _createNewJot
 
     // ===============================================================================================
-    // Create markdown calendar table
-    // Called from: _buildFiveWeekCalendar
+    // Picks the template note for a day's jot. The jotTemplateRules setting is checked in order
+    // and the first matching rule wins; otherwise weekends get the home template and weekdays
+    // the work template.
+    // Called from: _createNewJot
     // ===============================================================================================
-    _createCalendarMarkdown: function(days, jotMap) {
+    _selectJotTemplate: function(date) {
       const plugin = this;
+      const settings = plugin.getSettings();
+      const dateKey = plugin._calendarDateKey(date);
+      const matchesDate = (d) => d === dateKey || d === dateKey.slice(5); // "YYYY-MM-DD" or "MM-DD"
       
-      let md = "|S|M|T|W|T|F|S|\n|-|-|-|-|-|-|-|\n";
-      
-      for (let i = 0; i < days.length; i++) {
-        const date = days[i];
-        const dayNum = date.getDate();
-        const dayKey = `${date.getMonth()}-${date.getDate()}`;
-        const jot = jotMap.get(dayKey);
-        
-        // Create link to jot
-        const cell = jot 
-          ? `[${dayNum}](https://www.amplenote.com/notes/${jot.uuid})`
-          : dayNum;
-        
-        md += `|${cell}`;
-        
-        // End row every 7 days
-        if ((i + 1) % 7 === 0) {
-          md += "|\n";
+      const rule = (settings.jotTemplateRules || []).find((r) => {
+        switch (r.when) {
+          case "weekday":
+            return (r.days || []).some((d) => plugin.parseWeekday(d) === date.getDay());
+          case "date":
+            return (r.dates || []).some(matchesDate);
+          case "holiday":
+            return plugin._isHoliday(date);
+          case "first-workday":
+          case "last-workday": {
+            const workdays = plugin._getWorkdaysOfMonth(date);
+            const target = r.when === "first-workday" ? workdays[0] : workdays[workdays.length - 1];
+            return !!target && plugin._calendarDateKey(target) === dateKey;
+          }
+          default:
+            return false;
         }
-      }
+      });
+      if (rule) return rule.template;
       
-      return md;
-    }, // end _createCalendarMarkdown
-
-    //#endregion
+      const dayOfWeek = date.getDay(); // 0=Sun, 6=Sat
+      const isWeekend = (dayOfWeek === 0 || dayOfWeek === 6);
+      return isWeekend ? settings.homeJotTemplateName : settings.workJotTemplateName;
+    }, // end _selectJotTemplate
+
+    // Day number (0 = Sunday) for a weekday name or its first three letters, or null
+    parseWeekday: function(name) {
+      const days = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+      const index = days.indexOf(String(name).trim().toLowerCase().slice(0, 3));
+      return index === -1 ? null : index;
+    }, // end parseWeekday
+
+    // True if the date is listed in the holidays setting
+    _isHoliday: function(date) {
+      const dateKey = this._calendarDateKey(date);
+      return (this.getSettings().holidays || []).some(
+        (d) => d === dateKey || d === dateKey.slice(5)
+      );
+    }, // end _isHoliday
+
+    // Monday–Friday days of the date's month that aren't holidays, in order
+    _getWorkdaysOfMonth: function(date) {
+      const workdays = [];
+      const totalDays = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      for (let d = 1; d <= totalDays; d++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), d);
+        const dayOfWeek = day.getDay();
+        if (dayOfWeek !== 0 && dayOfWeek !== 6 && !this._isHoliday(day)) workdays.push(day);
+      }
+      return workdays;
+    }, // end _getWorkdaysOfMonth
 
-  //#region Utility Functions
-    // #################################################################################################
-    // #################################################################################################
+    // ===============================================================================================
+    // Fills placeholders in a jot template for the given day:
+    //   {{date}}       the jot's name, e.g. "November 26th, 2025"
+    //   {{weekday}}    e.g. "Wednesday" (in the jotNameLocale language)
+    //   {{yesterday}}  link to the previous day's jot (a "create jot" link if it doesn't exist)
+    //   {{tomorrow}}   link to the next day's jot, likewise
+    //   {{tasks_due}}  open tasks with a deadline that day, linked to their notes
+    // Unknown placeholders are left as they are.
+    // Called from: _createNewJot
+    // ===============================================================================================
+    _expandJotTemplate: async function(app, content, date, jotsByDate = null) {
+      const plugin = this;
+      if (!content.includes("{{")) return content;
+      const locale = plugin.getSettings().jotNameLocale;
+      
+      const jotLink = async (offset) => {
+        const day = new Date(date);
+        day.setDate(day.getDate() + offset);
+        const jot = await plugin._findDailyJot(app, day, jotsByDate);
+        const name = jot?.name || plugin._formatJotName(day);
+        const url = jot ? `https://www.amplenote.com/notes/${jot.uuid}` : plugin._createJotUrl(day);
+        return `[${name}](${url})`;
+      };
+      
+      const tasksDue = async () => {
+        const dateKey = plugin._calendarDateKey(date);
+        const dueOn = (task) => plugin._calendarDateKey(new Date(task.deadline * 1000));
+        const due = (await plugin.getAllTasks(app)).filter(
+          (task) => task.deadline && dueOn(task) === dateKey
+        );
+        if (due.length === 0) return "_(Nothing due)_";
+        const notes = await plugin.getFilteredNotes(app);
+        return plugin.buildTaskList(due, new Map(notes.map((n) => [n.uuid, n])));
+      };
+      
+      const placeholders = {
+        date: async () => plugin._formatJotName(date),
+        weekday: async () => date.toLocaleString(locale, { weekday: "long" }),
+        yesterday: () => jotLink(-1),
+        tomorrow: () => jotLink(1),
+        tasks_due: tasksDue,
+      };
+      
+      let expanded = content;
+      for (const [name, render] of Object.entries(placeholders)) {
+        const token = `{{${name}}}`;
+        if (expanded.includes(token)) expanded = expanded.split(token).join(await render());
+      }
+      return expanded;
+    }, // end _expandJotTemplate
+
+    // ===============================================================================================
+    // "Create jot" links stand in for jots that don't exist yet. They point at a note URL that
+    // carries the date, so the "Create Daily Jot" linkOption can tell which jot to make.
+    // Called from: _createCalendarMarkdown, linkOption "Create Daily Jot"
+    // ===============================================================================================
+    _createJotUrl: function(date) {
+      return `https://www.amplenote.com/notes/new?jot=${this._calendarDateKey(date)}`;
+    }, // end _createJotUrl
+
+    // Reverse of _createJotUrl: the local date a "create jot" link is for, or null
+    _parseCreateJotUrl: function(href) {
+      const match = href?.match(/[?&]jot=(\d{4})-(\d{2})-(\d{2})\b/);
+      if (!match) return null;
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }, // end _parseCreateJotUrl
+
+    // ===============================================================================================
+    // Local-date key ("2025-11-26") used to match task deadlines to calendar days
+    // Called from: _buildCalendar, _createCalendarMarkdown
+    // ===============================================================================================
+    _calendarDateKey: function(date) {
+      const month = String(date.getMonth() + 1).padStart(2, "0");
+      const day = String(date.getDate()).padStart(2, "0");
+      return `${date.getFullYear()}-${month}-${day}`;
+    }, // end _calendarDateKey
+
+    // ===============================================================================================
+    // Create markdown calendar table. Today's cell is bold; days with deadlines get a badge with
+    // the number of open tasks due (📅), or a warning (⚠️) once that day has passed.
+    // deadlinesByDay maps _calendarDateKey -> open tasks due that day. Days without a jot are plain
+    // numbers, or "create jot" links (see _createJotUrl) if createLinks is set. A null day is an
+    // empty cell (padding before the 1st of a month), and weekStartsOn orders the header.
+    // Called from: _buildCalendar
+    // ===============================================================================================
+    _createCalendarMarkdown: function(
+      days,
+      jotMap,
+      deadlinesByDay = new Map(),
+      createLinks = false,
+      weekStartsOn = 0
+    ) {
+      const plugin = this;
+      const todayKey = plugin._calendarDateKey(new Date());
+      
+      const weekdays = ["S", "M", "T", "W", "T", "F", "S"];
+      const header = [...weekdays.slice(weekStartsOn), ...weekdays.slice(0, weekStartsOn)];
+      let md = `|${header.join("|")}|\n|-|-|-|-|-|-|-|\n`;
+      
+      for (let i = 0; i < days.length; i++) {
+        const date = days[i];
+        if (!date) {
+          md += "| ";
+          if ((i + 1) % 7 === 0) md += "|\n";
+          continue;
+        }
+        const dayNum = date.getDate();
+        const dayKey = `${date.getMonth()}-${date.getDate()}`;
+        const jot = jotMap.get(dayKey);
+        const dateKey = plugin._calendarDateKey(date);
+        
+        // Create link to jot
+        let cell = dayNum;
+        if (jot) cell = `[${dayNum}](https://www.amplenote.com/notes/${jot.uuid})`;
+        else if (createLinks) cell = `[${dayNum}](${plugin._createJotUrl(date)})`;
+        
+        if (dateKey === todayKey) cell = `**${cell}**`;
+        
+        // Date keys sort chronologically, so earlier days compare lower
+        const dueCount = deadlinesByDay.get(dateKey)?.length || 0;
+        if (dueCount > 0) cell += dateKey < todayKey ? ` ⚠️${dueCount}` : ` 📅${dueCount}`;
+        
+        md += `|${cell}`;
+        
+        // End row every 7 days
+        if ((i + 1) % 7 === 0) {
+          md += "|\n";
+        }
+      }
+      
+      return md;
+    }, // end _createCalendarMarkdown
+
+    // ===============================================================================================
+    // Builds the "Upcoming Deadlines" list shown under the calendar: one line per task, soonest
+    // first, with overdue tasks flagged and a link back to the note each task lives on
+    // Called from: _buildCalendar
+    // ===============================================================================================
+    _createUpcomingDeadlinesMarkdown: async function(app, tasks) {
+      const plugin = this;
+      const notes = await plugin.getFilteredNotes(app);
+      const notesByUUID = new Map(notes.map((n) => [n.uuid, n]));
+      
+      const todayKey = plugin._calendarDateKey(new Date());
+      
+      let counter = 1;
+      const lines = [...tasks]
+        .sort((a, b) => a.deadline - b.deadline)
+        .map((task) => {
+          // Overdue by calendar day, matching the ⚠️ cells in the table
+          const dueKey = plugin._calendarDateKey(new Date(task.deadline * 1000));
+          const overdue = dueKey < todayKey ? "⚠️ " : "";
+          const due = plugin.convertDeadlineToTimeZone(task.deadline);
+          const { updatedContent, nextCounter } = plugin.uniquifyFootnotes(
+            task.content.trim(),
+            counter
+          );
+          counter = nextCounter;
+          
+          const source = notesByUUID.get(task.noteUUID);
+          const handle = source ? plugin.normalizeNoteHandle(source) : null;
+          const link = handle ? ` — [${handle.name}](${handle.url})` : "";
+          return `- ${overdue}(${due}) ${updatedContent}${link}`;
+        });
+      
+      const list = lines.length ? lines.join("\n") : "- _No upcoming deadlines_";
+      return "**Upcoming Deadlines**\n" + list;
+    }, // end _createUpcomingDeadlinesMarkdown
+
+    //#endregion
+
+  //#region Utility Functions
+    // #################################################################################################
+    // #################################################################################################
     //
     //                                     Utility Functions
     // 
@@ -310,18 +1232,18 @@
     // #################################################################################################
 
     // ===============================================================================================
-    // Converts a deadline timestamp into Pacific date string
-    // Called from: Refresh Deadline Tasks, updateRelatedTasksSection
+    // Converts a deadline timestamp into a date string in the configured time zone
+    // Called from: Refresh Deadline Tasks, buildTaskList, weeklyReview
     // ===============================================================================================
-    convertDeadlineToPacific: function (deadlineTimestamp) {
+    convertDeadlineToTimeZone: function (deadlineTimestamp) {
       if (!deadlineTimestamp) return null;
       return new Date(deadlineTimestamp * 1000).toLocaleDateString('en-US', {
-        timeZone: 'America/Los_Angeles',
+        timeZone: this.getSettings().timeZone,
         year: 'numeric',
         month: 'short',
         day: 'numeric',
       });
-    }, // end convertDeadlineToPacific
+    }, // end convertDeadlineToTimeZone
 
     // ===============================================================================================
     // Returns days until deadline
@@ -332,6 +1254,22 @@
       return (deadlineTimestamp * 1000 - Date.now()) / (1000 * 60 * 60 * 24);
     }, // end daysUntilDeadline
 
+    // ===============================================================================================
+    // Returns how many whole days a task has been open. Amplenote tasks don't expose a created
+    // time, so this uses the task's start date if it has one, otherwise the created time of the
+    // note the task lives on (for daily jots, that's the day the task was written). A start date
+    // in the future is a snooze, not an age, so it falls back to the note as well.
+    // Called from: getWaitingForTasks
+    // ===============================================================================================
+    taskAgeInDays: function (task, note) {
+      let startedAt = null;
+      if (task.startAt && task.startAt * 1000 <= Date.now()) startedAt = task.startAt * 1000;
+      else if (note?.created) startedAt = new Date(note.created).getTime();
+      if (!startedAt || isNaN(startedAt)) return null;
+
+      return Math.max(0, Math.floor((Date.now() - startedAt) / (1000 * 60 * 60 * 24)));
+    }, // end taskAgeInDays
+
     // ===============================================================================================
     // Ensures footnote references are uniquely numbered to avoid clashes
     // Called from: Refresh Deadline Tasks, updateRelatedTasksSection
@@ -393,6 +1331,28 @@
       return tag;
     }, // end getNoteType
 
+    // ===============================================================================================
+    // Returns the GTD contexts (e.g. "calls", "computer") that apply to a task. Tasks inherit the
+    // c/* tags of the note they live on, and can add their own with @context tokens in the task
+    // text (e.g. "Ask about the budget @calls"). Context names are lowercased.
+    // Called from: getContextTasks
+    // ===============================================================================================
+    getTaskContexts: function (task, note) {
+      const contexts = new Set();
+
+      for (const tag of note?.tags || []) {
+        if (tag.startsWith('c/')) contexts.add(tag.slice(2).toLowerCase());
+      }
+
+      // Require whitespace (or start of text) before @ so email addresses aren't matched
+      const contextRegex = /(?:^|\s)@([a-z0-9][\w-]*)/gi;
+      for (const match of (task.content || '').matchAll(contextRegex)) {
+        contexts.add(match[1].toLowerCase());
+      }
+
+      return Array.from(contexts);
+    }, // end getTaskContexts
+
     // ===============================================================================================
     // Normalizes indentation for sub-bullets for Recent Updates using four spaces per indent
     // Called from: updateRecentUpdatesSection
@@ -449,6 +1409,73 @@
     stripAmplenoteIndentComments: function (markdown) {
       return markdown.replace(/<!--\s*\{["']?indent["']?:\s*\d+\s*\}\s*-->/g, '');
     }, // end stripAmplenoteIndentComments
+
+    // ===============================================================================================
+    // Returns the body of a section (everything under the heading up to the next heading of the
+    // same or higher level), or null if the note has no heading with that text. The body is
+    // trimmed unless `exact` is set, which keeps it byte-for-byte so it can be written back.
+    // Called from: createPreviewApp, createJournalApp
+    // ===============================================================================================
+    getSectionMarkdown: function (content, headingText, { exact = false } = {}) {
+      const finish = (body) => (exact ? body : body.trim());
+      const lines = (content || '').split('\n');
+      let start = -1;
+      let level = 0;
+
+      for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^(#{1,6})\s+(.*?)\s*$/);
+        if (!match) continue;
+        if (start < 0) {
+          if (match[2] === headingText) {
+            start = i + 1;
+            level = match[1].length;
+          }
+        } else if (match[1].length <= level) {
+          return finish(lines.slice(start, i).join('\n'));
+        }
+      }
+
+      return start < 0 ? null : finish(lines.slice(start).join('\n'));
+    }, // end getSectionMarkdown
+
+    // ===============================================================================================
+    // Builds a unified-style line diff ("- " removed, "+ " added, "  " unchanged) between two
+    // blocks of markdown, using a longest-common-subsequence walk
+    // Called from: runWithPreview
+    // ===============================================================================================
+    buildLineDiff: function (before, after) {
+      // An empty block has no lines, rather than one blank line
+      const a = before ? before.split('\n') : [];
+      const b = after ? after.split('\n') : [];
+
+      // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+      const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i][j] =
+            a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+      }
+
+      const lines = [];
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          lines.push(`  ${a[i]}`);
+          i++;
+          j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+          lines.push(`- ${a[i++]}`);
+        } else {
+          lines.push(`+ ${b[j++]}`);
+        }
+      }
+      while (i < a.length) lines.push(`- ${a[i++]}`);
+      while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+      return lines.join('\n');
+    }, // end buildLineDiff
     //#endregion
 
     //#region Note Filtering and Retrieval Functions
@@ -476,29 +1503,268 @@
     // Returns all tasks matching an optional given base tag, filtered by optional domain tags,
     // excluding any tasks on notes tagged with 'archive' or 'exclude' (due to getFilteredNotes).
     // Called from anywhere tasks are needed to apply consistent exclusions.
-    // Calls: getFilteredNotes, app.notes.find, note.tasks
+    // Calls: _getCachedTasks
     // Called from: Refresh Deadline Tasks
     // ===============================================================================================
     getAllTasks: async function (app, baseTag = '', domainTags = []) {
-      // If no task cache exists or cache is invalid
-      if (!this._taskCache) {
-        const notes = await this._getCachedNotes(app, baseTag, domainTags);
-        const allTasks = [];
-        
-        for (const handle of notes) {
-          const note = await app.notes.find(handle.uuid);
-          if (!note) continue;
-          
-          const noteTasks = await note.tasks();
-          allTasks.push(...noteTasks);
+      return await this._getCachedTasks(app, baseTag, domainTags);
+    }, // end getAllTasks
+
+    // ===============================================================================================
+    // Returns all open tasks in the given context, limited to tasks on notes that match the
+    // optional domain tags (and aren't archived/excluded).
+    // Calls: getAllTasks, getFilteredNotes, getTaskContexts
+    // Called from: updateBracketedSections (list/context)
+    // ===============================================================================================
+    getContextTasks: async function (app, context, domainTags = []) {
+      const plugin = this;
+      const allTasks = await plugin.getAllTasks(app);
+      const notes = await plugin.getFilteredNotes(app, '', domainTags);
+      const notesByUUID = new Map(notes.map((n) => [n.uuid, n]));
+
+      return allTasks.filter((task) => {
+        const note = notesByUUID.get(task.noteUUID);
+        return note && plugin.getTaskContexts(task, note).includes(context.toLowerCase());
+      });
+    }, // end getContextTasks
+
+    // ===============================================================================================
+    // Finds active projects that have no next action. A project has a next action if it has at
+    // least one open task of its own, or if one of its child projects (in an active status) has a
+    // next action. Projects without a next action are split into:
+    //   - noNextAction: projects with no open tasks and no active child projects
+    //   - stalledParents: parent projects whose only possible actions sit in stalled child projects
+    // Calls: getFilteredNotes, app.getNoteTasks
+    // Called from: taggingCleanup, updateBracketedSections ([stalled]), weeklyReview
+    // ===============================================================================================
+    getStalledProjects: async function (
+      app,
+      statuses = ['project/focus', 'project/active', 'project/tracking'],
+      domainTags = [],
+    ) {
+      const plugin = this;
+      const allNotes = await plugin._getCachedNotes(app);
+
+      const isActive = (n) => statuses.some((status) => n.tags.includes(status));
+      const getActiveChildren = (n) =>
+        n.tags
+          .filter((t) => t.startsWith('r/child/'))
+          .map((t) => allNotes.find((c) => c.tags.includes(`note-id/${t.split('/')[2]}`)))
+          .filter((c) => c && isActive(c));
+
+      // Memoize task lookups and results since children are visited once per ancestor
+      const openTaskCounts = new Map();
+      const getOpenTaskCount = async (n) => {
+        if (!openTaskCounts.has(n.uuid)) {
+          const tasks = await app.getNoteTasks(n.uuid);
+          openTaskCounts.set(n.uuid, tasks.length);
+        }
+        return openTaskCounts.get(n.uuid);
+      };
+
+      const nextActionResults = new Map();
+      const hasNextAction = async (n, visited = new Set()) => {
+        if (nextActionResults.has(n.uuid)) return nextActionResults.get(n.uuid);
+        // Guard against parent/child cycles
+        if (visited.has(n.uuid)) return false;
+        visited.add(n.uuid);
+
+        let result = (await getOpenTaskCount(n)) > 0;
+        for (const child of getActiveChildren(n)) {
+          if (result) break;
+          result = await hasNextAction(child, visited);
+        }
+
+        nextActionResults.set(n.uuid, result);
+        return result;
+      };
+
+      const projects = [];
+      for (const status of statuses) {
+        const matches = await plugin.getFilteredNotes(app, status, domainTags);
+        for (const n of matches) {
+          if (n.tags.includes(status) && !projects.some((p) => p.uuid === n.uuid)) {
+            projects.push(n);
+          }
+        }
+      }
+
+      const noNextAction = [];
+      const stalledParents = [];
+      for (const project of projects) {
+        if (await hasNextAction(project)) continue;
+
+        if (getActiveChildren(project).length > 0) {
+          stalledParents.push(project);
+        } else {
+          noNextAction.push(project);
+        }
+      }
+
+      return { noNextAction, stalledParents };
+    }, // end getStalledProjects
+
+    // ===============================================================================================
+    // True if the note is a project that is still in play (any status but completed or canceled)
+    // ===============================================================================================
+    isOpenProject: function (note) {
+      const status = note.tags.find((t) => t.startsWith('project/'));
+      if (!status) return false;
+      return !status.startsWith('project/completed') && !status.startsWith('project/canceled');
+    }, // end isOpenProject
+
+    // ===============================================================================================
+    // Resolves a project's dependency links in both directions. A dependency is written as
+    // r/project/depends-on/<id> on the dependent project and r/project/blocks/<id> on the blocker
+    // (see relationshipRoles), but either half is enough to count, so one-sided links still show.
+    //   - blockedBy: projects this one depends on
+    //   - blocks: projects that depend on this one
+    // Calls: _getCachedNotes, parseRelationshipTag
+    // Called from: getBlockedProjects, updateBlockedBySection, updateBlocksSection
+    // ===============================================================================================
+    getProjectDependencies: async function (app, note) {
+      const plugin = this;
+      const allNotes = await plugin._getCachedNotes(app);
+      const noteId = note.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+      const blockedBy = new Map();
+      const blocks = new Map();
+
+      const rolesToward = (from, toId) =>
+        from.tags
+          .map((t) => plugin.parseRelationshipTag(t))
+          .filter((parsed) => parsed && parsed.type === 'project' && parsed.noteId === toId)
+          .map((parsed) => parsed.role);
+
+      for (const other of allNotes) {
+        if (other.uuid === note.uuid || !other.tags.some((t) => t.startsWith('project/'))) continue;
+        const otherId = other.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+        if (!otherId) continue;
+
+        const mine = rolesToward(note, otherId);
+        const theirs = noteId ? rolesToward(other, noteId) : [];
+        if (mine.includes('depends-on') || theirs.includes('blocks')) {
+          blockedBy.set(other.uuid, other);
+        }
+        if (mine.includes('blocks') || theirs.includes('depends-on')) blocks.set(other.uuid, other);
+      }
+
+      const byName = (a, b) => a.name.localeCompare(b.name);
+      return {
+        blockedBy: [...blockedBy.values()].sort(byName),
+        blocks: [...blocks.values()].sort(byName),
+      };
+    }, // end getProjectDependencies
+
+    // ===============================================================================================
+    // Returns open projects with at least one blocker that is itself still open, as
+    // [{ project, blockers }] sorted by project name. Pass statuses to narrow which projects count.
+    // Calls: getFilteredNotes, getProjectDependencies
+    // Called from: taggingCleanup, updateBracketedSections ([blocked])
+    // ===============================================================================================
+    getBlockedProjects: async function (app, statuses = null, domainTags = []) {
+      const plugin = this;
+      const projects = (await plugin.getFilteredNotes(app, 'project/', domainTags)).filter(
+        (n) => plugin.isOpenProject(n) && (!statuses || statuses.some((s) => n.tags.includes(s))),
+      );
+
+      const blocked = [];
+      for (const project of projects) {
+        const { blockedBy } = await plugin.getProjectDependencies(app, project);
+        const blockers = blockedBy.filter((n) => plugin.isOpenProject(n));
+        if (blockers.length > 0) blocked.push({ project, blockers });
+      }
+
+      return blocked.sort((a, b) => a.project.name.localeCompare(b.project.name));
+    }, // end getBlockedProjects
+
+    // ===============================================================================================
+    // Returns project notes with one of the given statuses that haven't been updated in the given
+    // number of weeks, based on the note's updated timestamp.
+    // Called from: weeklyReview
+    // ===============================================================================================
+    getDormantProjects: async function (app, statuses, weeks, domainTags = []) {
+      const plugin = this;
+      const cutoff = Date.now() - weeks * 7 * 24 * 60 * 60 * 1000;
+      const dormant = [];
+
+      for (const status of statuses) {
+        const projects = await plugin.getFilteredNotes(app, status, domainTags);
+        for (const project of projects) {
+          if (!project.tags.includes(status)) continue;
+          const updatedAt = project.updated ? new Date(project.updated).getTime() : 0;
+          if (updatedAt < cutoff) dormant.push(project);
+        }
+      }
+
+      return dormant;
+    }, // end getDormantProjects
+
+    // ===============================================================================================
+    // Returns all open tasks whose deadline has already passed, most overdue first
+    // Calls: getAllTasks
+    // Called from: weeklyReview
+    // ===============================================================================================
+    getOverdueTasks: async function (app) {
+      const plugin = this;
+      const allTasks = await plugin.getAllTasks(app);
+
+      return allTasks
+        .filter((task) => task.deadline && plugin.daysUntilDeadline(task.deadline) < 0)
+        .sort((a, b) => a.deadline - b.deadline);
+    }, // end getOverdueTasks
+
+    // ===============================================================================================
+    // Returns delegated ("waiting for") tasks grouped by person. A task is waiting for someone when
+    // it's in the @waiting context (see getTaskContexts) and links to one or more
+    // reference/people notes; it's listed under every person it links to.
+    // Returns a Map of person note uuid -> { person, items: [{ task, source, ageDays }] },
+    // with each person's items sorted oldest first.
+    // Calls: getAllTasks, getFilteredNotes, getTaskContexts, taskAgeInDays
+    // Called from: updateWaitingForSection, updateBracketedSections ([waiting])
+    // ===============================================================================================
+    getWaitingForTasks: async function (app, domainTags = []) {
+      const plugin = this;
+      const allTasks = await plugin.getAllTasks(app);
+      const notes = await plugin.getFilteredNotes(app, '', domainTags);
+      const notesByUUID = new Map(notes.map((n) => [n.uuid, n]));
+
+      // People can be linked from any domain, so look them up in the unfiltered cache
+      const allNotes = await plugin._getCachedNotes(app);
+      const peopleByUUID = new Map(
+        allNotes.filter((n) => plugin.getNoteType(n) === 'people').map((n) => [n.uuid, n]),
+      );
+
+      const linkRegex = /amplenote\.com\/notes\/([a-f0-9-]+)/gi;
+      const waiting = new Map();
+
+      for (const task of allTasks) {
+        const source = notesByUUID.get(task.noteUUID);
+        if (!source) continue;
+        if (!plugin.getTaskContexts(task, source).includes('waiting')) continue;
+
+        const linkedUUIDs = new Set(
+          Array.from((task.content || '').matchAll(linkRegex), (m) => m[1].toLowerCase()),
+        );
+
+        for (const uuid of linkedUUIDs) {
+          const person = peopleByUUID.get(uuid);
+          if (!person) continue;
+
+          if (!waiting.has(uuid)) waiting.set(uuid, { person, items: [] });
+          waiting.get(uuid).items.push({
+            task,
+            source,
+            ageDays: plugin.taskAgeInDays(task, source),
+          });
         }
-        
-        this._taskCache = allTasks;
-        this._lastTaskCacheUpdate = Date.now();
       }
-      
-      return this._taskCache;
-    }, // end getAllTasks
+
+      for (const entry of waiting.values()) {
+        entry.items.sort((a, b) => (b.ageDays ?? -1) - (a.ageDays ?? -1));
+      }
+
+      return waiting;
+    }, // end getWaitingForTasks
 
     // ===============================================================================================
     // Returns an array of parent notes for the given noteUUID.
@@ -543,6 +1809,69 @@
       }
       return children;
     }, // end getChildNotes
+
+    // ===============================================================================================
+    // Returns the note-ids of every ancestor of a note (parents, their parents, and so on), across
+    // all of its parents. Safe on notebooks that already contain a cycle.
+    // Calls: _getCachedNotes
+    // Called from: setParentChildRelationship
+    // ===============================================================================================
+    getAncestorIds: async function (app, note) {
+      const allNotes = await this._getCachedNotes(app);
+      const parentIdsOf = (n) =>
+        n.tags.filter((t) => t.startsWith('r/parent/')).map((t) => t.split('/')[2]);
+
+      const ancestors = new Set();
+      const queue = parentIdsOf(note);
+      while (queue.length > 0) {
+        const id = queue.shift();
+        if (ancestors.has(id)) continue;
+        ancestors.add(id);
+
+        const parent = allNotes.find((n) => n.tags.includes(`note-id/${id}`));
+        if (parent) queue.push(...parentIdsOf(parent));
+      }
+      return ancestors;
+    }, // end getAncestorIds
+
+    // ===============================================================================================
+    // Finds parent/child cycles (A is under B, which is, some levels down, under A). Returns one
+    // array of notes per cycle, ordered from child to parent around the loop.
+    // Calls: _getCachedNotes
+    // Called from: taggingCleanup
+    // ===============================================================================================
+    findParentCycles: async function (app) {
+      const allNotes = await this._getCachedNotes(app);
+      const byNoteId = new Map();
+      for (const note of allNotes) {
+        const id = note.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+        if (id && !byNoteId.has(id)) byNoteId.set(id, note);
+      }
+      const parentsOf = (note) =>
+        note.tags
+          .filter((t) => t.startsWith('r/parent/'))
+          .map((t) => byNoteId.get(t.split('/')[2]))
+          .filter(Boolean);
+
+      // Depth-first walk up the parent links; reaching a note already on the path closes a cycle
+      const cycles = new Map(); // sorted uuids -> notes, so each cycle is reported once
+      const done = new Set();
+      const walk = (note, path) => {
+        const index = path.findIndex((n) => n.uuid === note.uuid);
+        if (index !== -1) {
+          const cycle = path.slice(index);
+          const key = cycle.map((n) => n.uuid).sort().join('|');
+          if (!cycles.has(key)) cycles.set(key, cycle);
+          return;
+        }
+        if (done.has(note.uuid)) return;
+        for (const parent of parentsOf(note)) walk(parent, [...path, note]);
+        done.add(note.uuid);
+      };
+      for (const note of byNoteId.values()) walk(note, []);
+
+      return [...cycles.values()];
+    }, // end findParentCycles
     //#endregion
 
     //#region Note ID & Relationship Management Functions
@@ -581,6 +1910,42 @@
       return candidate;
     }, // end generateUniqueNoteIdTag
 
+    // Named relationship roles. A role sits between the type and the note-id in an r/* tag, e.g.
+    // r/people/owner/<id> on a project means that person is the project's owner, and
+    // r/project/depends-on/<id> means this project depends on that one. Roles with an inverse are
+    // mirrored on the other note of a two-way link (A depends-on B ⇔ B blocks A).
+    relationshipRoles: [
+      { label: 'Owner', value: 'owner' },
+      { label: 'Stakeholder', value: 'stakeholder' },
+      { label: 'Vendor', value: 'vendor' },
+      { label: 'Depends on', value: 'depends-on', inverse: 'blocks' },
+      { label: 'Blocks', value: 'blocks', inverse: 'depends-on' },
+    ],
+
+    // ===============================================================================================
+    // Splits an r/* tag into { type, role, noteId }, or returns null for anything else. The note-id
+    // is always the last segment; a known role is the segment before it; whatever is between
+    // "r/" and those is the type (e.g. "people", "reference/vendors", "parent").
+    // Called from: getNoteRelationships, removeRelationship, Related section updaters
+    // ===============================================================================================
+    parseRelationshipTag: function (tag) {
+      const parts = tag.split('/');
+      if (parts[0] !== 'r' || parts.length < 3) return null;
+
+      const noteId = parts.pop();
+      let role = null;
+      const last = parts[parts.length - 1];
+      if (parts.length > 2 && this.relationshipRoles.some((r) => r.value === last)) {
+        role = parts.pop();
+      }
+      return { type: parts.slice(1).join('/'), role, noteId };
+    }, // end parseRelationshipTag
+
+    // Display label for a role value ("depends-on" → "Depends on"); unknown roles pass through
+    roleLabel: function (role) {
+      return this.relationshipRoles.find((r) => r.value === role)?.label || role;
+    },
+
     // ===============================================================================================
     // Returns a note's note-id tag if it exists, creating it if necessary. This function is only
     // called if a relationship needs to be established between two notes.
@@ -600,9 +1965,43 @@
       return tag;
     }, // end getNoteIdTag
 
+    // ===============================================================================================
+    // Returns why `child` can't be placed under `parent` (as an alert message), or null if it can.
+    // Parent and child must be the same note type, and the parent can't be the child itself or
+    // one of the child's descendants.
+    // Calls: getNoteType, getAncestorIds
+    // Called from: setParentChildRelationship, moveNoteUnder, checkMergedParentChildLinks,
+    //   repairRelationshipIntegrity
+    // ===============================================================================================
+    checkParentChildLink: async function (app, child, parent) {
+      const childType = this.getNoteType(child);
+      const parentType = this.getNoteType(parent);
+      if (childType !== parentType) {
+        return (
+          `❌ Cannot link ${child.name} to ${parent.name}: note types do not match.\n\n` +
+          `• Child is type: ${childType || 'unknown'}\n` +
+          `• Parent is type: ${parentType || 'unknown'}\n\n` +
+          `Parent/child relationships must be between notes of the same type.`
+        );
+      }
+
+      const childId = child.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+      const parentAncestors = await this.getAncestorIds(app, parent);
+      if (child.uuid === parent.uuid || parentAncestors.has(childId)) {
+        return (
+          `❌ Cannot make ${child.name} a child of ${parent.name}: ` +
+          `${parent.name} is already under ${child.name}, so the link would create a cycle.`
+        );
+      }
+
+      return null;
+    }, // end checkParentChildLink
+
     // ===============================================================================================
     // Establishes a parent/child relationship between two notes.
     // Ensures both notes have a note-id tag, and confirms both notes are of the same type.
+    // A note can have several parents, but never one of its own descendants (that would be a
+    // cycle). Returns true if the link was made, false if it was refused.
     // Supported types: project, reference/people, reference/software, reference/horizon
     // ===============================================================================================
     setParentChildRelationship: async function (app, childUUID, parentUUID) {
@@ -613,35 +2012,28 @@
       const parent = await app.notes.find(parentUUID);
       if (!child || !parent) {
         await app.alert('❌ Could not find parent or child note.');
-        return;
+        return false;
       }
 
-      // 2. Get note types
-      const childType = plugin.getNoteType(child);
-      const parentType = plugin.getNoteType(parent);
-
-      // 3. Enforce type matching
-      if (childType !== parentType) {
-        await app.alert(
-          `❌ Cannot link ${child.name} to ${parent.name}: note types do not match.\n\n` +
-            `• Child is type: ${childType || 'unknown'}\n` +
-            `• Parent is type: ${parentType || 'unknown'}\n\n` +
-            `Parent/child relationships must be between notes of the same type.`,
-        );
-        return;
+      // 2. Enforce type matching and refuse cycles
+      const problem = await plugin.checkParentChildLink(app, child, parent);
+      if (problem) {
+        await app.alert(problem);
+        return false;
       }
 
-      // 4. Ensure both have note-id tags
+      // 3. Ensure both have note-id tags
       const childIdTag = await plugin.getNoteIdTag(app, child);
       const childId = childIdTag.split('/')[1];
       const parentIdTag = await plugin.getNoteIdTag(app, parent);
       const parentId = parentIdTag.split('/')[1];
 
-      // 5. Add tags for parent/child relationship and update cache
+      // 4. Add tags for parent/child relationship and update cache
       await child.addTag(`r/parent/${parentId}`);
       plugin.updateCacheWithTag(child.uuid, `r/parent/${parentId}`);
       await parent.addTag(`r/child/${childId}`);
       plugin.updateCacheWithTag(parent.uuid, `r/child/${childId}`);
+      return true;
     }, // end setParentChildRelationship
 
     // ===============================================================
@@ -669,18 +2061,17 @@
       );
 
       for (const tag of directRTags) {
-        const parts = tag.split('/');
-        if (parts.length < 3) continue; // malformed tag
-
-        const noteId = parts[parts.length - 1];
-        const type = parts.slice(1, -1).join('/'); // everything between r/ and note-id
+        const parsed = plugin.parseRelationshipTag(tag);
+        if (!parsed) continue; // malformed tag
+        const { type, role, noteId } = parsed;
 
         const matches = await plugin._getCachedNotes(app, `note-id/${noteId}`);
         if (matches.length > 0) {
           const handle = plugin.normalizeNoteHandle(matches[0]);
           // Avoid duplicates
           if (!results.some((r) => r.uuid === handle.uuid)) {
-            results.push({ type, uuid: handle.uuid, label: handle.name });
+            const label = role ? `(${plugin.roleLabel(role)}) ${handle.name}` : handle.name;
+            results.push({ type, role, uuid: handle.uuid, label });
           }
         }
       }
@@ -698,7 +2089,18 @@
         if (parents.some((p) => p.uuid === rel.uuid) || children.some((c) => c.uuid === rel.uuid))
           continue;
         if (!results.some((r) => r.uuid === rel.uuid)) {
-          results.push({ type: 'other', uuid: rel.uuid, label: rel.name });
+          // A role on the other note's tag describes this note, e.g. "(Owner of) Website Redesign";
+          // roles with an inverse read better flipped ("depends-on" there is "Blocks" here)
+          const role =
+            rel.tags
+              .filter((t) => t.endsWith(`/${noteIdValue}`))
+              .map((t) => plugin.parseRelationshipTag(t)?.role)
+              .find(Boolean) || null;
+          const inverse = plugin.relationshipRoles.find((r) => r.value === role)?.inverse;
+          let label = rel.name;
+          if (inverse) label = `(${plugin.roleLabel(inverse)}) ${rel.name}`;
+          else if (role) label = `(${plugin.roleLabel(role)} of) ${rel.name}`;
+          results.push({ type: 'other', role, uuid: rel.uuid, label });
         }
       }
 
@@ -706,9 +2108,11 @@
     }, // end getNoteRelationships
 
     // ===============================================================
-    // Helper: Add relationship with same rules as buildRelationship
+    // Helper: Add relationship with same rules as buildRelationship. An optional role (see
+    // relationshipRoles) is written into the tag that describes the related note; on two-way
+    // links the other note's tag gets the role's inverse, if it has one.
     // ===============================================================
-    addRelationshipByType: async function (app, note, relatedHandle) {
+    addRelationshipByType: async function (app, note, relatedHandle, role = null) {
       const plugin = this;
       const relatedNote = await app.notes.find(relatedHandle.uuid);
 
@@ -724,39 +2128,39 @@
       const noteId = noteIdTag.split('/')[1];
       const relatedNoteId = relatedNoteIdTag.split('/')[1];
 
+      // Builds r/<type>/[<role>/]<id>
+      const inverse = plugin.relationshipRoles.find((r) => r.value === role)?.inverse || null;
+      const relTag = (type, tagRole, id) => `r/${type}/${tagRole ? `${tagRole}/` : ''}${id}`;
+
       // Project-to-project relationships are two-way
       if (noteType === 'project' && relatedType === 'project') { //I'm on a project note linking TO another project note
-        const noteTag = `r/project/${relatedNoteId}`;
-        const relatedTag = `r/project/${noteId}`;
-        
+        const noteTag = relTag('project', role, relatedNoteId);
+        const relatedTag = relTag('project', inverse, noteId);
         await note.addTag(noteTag);
         await relatedNote.addTag(relatedTag);
-        
         plugin.updateCacheWithTag(note.uuid, noteTag);
         plugin.updateCacheWithTag(relatedNote.uuid, relatedTag);
       }      
-      
       // Project to non-project relationships should always be one-way (project → other)
       else if (noteType === 'project') {  // I'm on a project note linking TO a non-project note
-        const tag = `r/${relatedType}/${relatedNoteId}`;
+        const tag = relTag(relatedType, role, relatedNoteId);
         await note.addTag(tag);
         // Update the note in the cache to include the new tag
         plugin.updateCacheWithTag(note.uuid, tag);
       } 
       else if (relatedType === 'project') { // I'm on a non-project note linking TO a project
-        const tag = `r/${noteType}/${noteId}`;
+        // The role still describes the non-project note (e.g. this person owns that project)
+        const tag = relTag(noteType, role, noteId);
         await relatedNote.addTag(tag);
         // Update the related note in the cache
         plugin.updateCacheWithTag(relatedNote.uuid, tag);
       } 
       else { // I'm on a non-project note linking TO another non-project note
         // Non-project relationships are two-way
-        const noteTag = `r/${relatedType}/${relatedNoteId}`;
-        const relatedTag = `r/${noteType}/${noteId}`;
-        
+        const noteTag = relTag(relatedType, role, relatedNoteId);
+        const relatedTag = relTag(noteType, inverse, noteId);
         await note.addTag(noteTag);
         await relatedNote.addTag(relatedTag);
-        
         // Update both notes in the cache
         plugin.updateCacheWithTag(note.uuid, noteTag);
         plugin.updateCacheWithTag(relatedNote.uuid, relatedTag);
@@ -787,68 +2191,620 @@
         await target.removeTag(`r/parent/${noteId}`);
         plugin.removeCacheTag(target.uuid, `r/parent/${noteId}`);
       } else {
-        const noteType = plugin.getNoteType(note);
-        const targetType = plugin.getNoteType(target);
-        
-        // Check if either note is a project note for correct one-way cleanup
-        if (noteType === 'project') {
-          // Only the project note has the tag
-          await note.removeTag(`r/${targetType}/${targetId}`);
-          plugin.removeCacheTag(note.uuid, `r/${targetType}/${targetId}`);
-        } else if (targetType === 'project') {
-          // Only the target project note has the tag
-          await target.removeTag(`r/${noteType}/${noteId}`);
-          plugin.removeCacheTag(target.uuid, `r/${noteType}/${noteId}`);
-        } else {
-          // Standard two-way relationship cleanup
-          await note.removeTag(`r/${targetType}/${targetId}`);
-          plugin.removeCacheTag(note.uuid, `r/${targetType}/${targetId}`);
-          await target.removeTag(`r/${noteType}/${noteId}`);
-          plugin.removeCacheTag(target.uuid, `r/${noteType}/${noteId}`);
-        }
+        // Typed links may sit on either note (one-way links live on the project) and may carry a
+        // role, so drop every non-parent/child r/* tag on each side that points at the other
+        const unlink = async (handle, toId) => {
+          const from = (await app.notes.find(handle.uuid)) || handle; // tags may be stale
+          const tags = from.tags.filter((t) => {
+            const parsed = plugin.parseRelationshipTag(t);
+            return parsed && parsed.noteId === toId && !['parent', 'child'].includes(parsed.type);
+          });
+          for (const tag of tags) {
+            await from.removeTag(tag);
+            plugin.removeCacheTag(from.uuid, tag);
+          }
+        };
+        await unlink(note, targetId);
+        await unlink(target, noteId);
       }
     }, // end removeRelationship
-    //#endregion
 
-    //#region List Builder Functions (Markdown Output)
-    // #################################################################################################
-    // #################################################################################################
-    //
-    //                              List Builder Functions (Markdown Output)
-    //
-    // #################################################################################################
-    // #################################################################################################
     // ===============================================================================================
-    // Recursively build a nested list of related notes, using parent/child tag relationships.
-    // Optional: customize how each note is displayed using formatLabel(note, handle).
+    // Walks relationships outward from a note, up to maxHops away, using getNoteRelationships.
+    // Returns { nodes, edges }: nodes are { uuid, name, type, hops } (the starting note has hops 0),
+    // edges are { from, to, label }. Parent/child edges point from parent to child and have no
+    // label; other relationships are undirected and labelled with their r/<type> when known.
+    // Only notes with a note-id are walked, so nothing gets a note-id tag as a side effect.
+    // Called from: updateRelationshipMapSection
     // ===============================================================================================
-    buildNestedNoteList: async function (app, notes, options) {
+    buildRelationshipGraph: async function (app, noteUUID, maxHops = 2) {
       const plugin = this;
-      const {
-        noteIdPrefix = 'note-id/', // tag used to uniquely identify a note (e.g., "note-id/20250823...")
-        parentTagPrefix = 'r/parent/', // tag prefix used on child notes to point to their parent
-        // not currently used (included for symmetry)
-        childTagPrefix = 'r/child/', // eslint-disable-line no-unused-vars
-        includeChildren = true, // whether to include child notes
-        indentLevel = 0, // how far to indent this level of the list
-        visited = new Set(), // keeps track of rendered notes to avoid infinite loops
-        formatLabel = null, // optional function to customize the label text
-      } = options;
+      const nodes = new Map();
+      const edges = new Map(); // "uuidA|uuidB" (sorted) -> edge
+
+      const addNode = (note, hops) => {
+        if (!nodes.has(note.uuid)) {
+          nodes.set(note.uuid, {
+            uuid: note.uuid,
+            name: note.name || 'Untitled Note',
+            type: plugin.getNoteType(note),
+            hops,
+          });
+        }
+      };
 
-      // Helper: extract the note ID from a tag like "note-id/20250823104500"
-      const getNoteId = (note) =>
-        note.tags.find((t) => t.startsWith(noteIdPrefix))?.split('/')[1] || null;
+      const addEdge = (from, to, label) => {
+        const key = [from, to].sort().join('|');
+        const existing = edges.get(key);
+        // Parent/child edges win over typed ones, and typed ones win over unlabelled reverse links
+        if (existing && (existing.label === null || label === 'other')) return;
+        edges.set(key, { from, to, label });
+      };
+
+      const start = await app.notes.find(noteUUID);
+      if (!start) return { nodes: [], edges: [] };
+      addNode(start, 0);
+
+      let frontier = [start];
+      for (let hops = 1; hops <= maxHops && frontier.length > 0; hops++) {
+        const next = [];
+        for (const note of frontier) {
+          if (!note.tags.some((t) => t.startsWith('note-id/'))) continue;
+
+          const relations = await plugin.getNoteRelationships(app, note);
+          for (const relation of relations) {
+            const related = await app.notes.find(relation.uuid);
+            if (!related) continue;
+
+            if (!nodes.has(related.uuid)) {
+              addNode(related, hops);
+              next.push(related);
+            }
+
+            if (relation.type === 'parent') addEdge(related.uuid, note.uuid, null);
+            else if (relation.type === 'child') addEdge(note.uuid, related.uuid, null);
+            else if (relation.role && relation.type !== 'other') {
+              // A role reads from this note toward the related one, so it labels the edge
+              addEdge(note.uuid, related.uuid, plugin.roleLabel(relation.role));
+            } else addEdge(note.uuid, related.uuid, relation.type);
+          }
+        }
+        frontier = next;
+      }
+
+      return {
+        nodes: [...nodes.values()],
+        edges: [...edges.values()].map(({ from, to, label }) => ({
+          from,
+          to,
+          label: label === 'other' ? '' : label,
+        })),
+      };
+    }, // end buildRelationshipGraph
+
+    // ===============================================================================================
+    // Scans every note's relationship tags for defects and returns them grouped by kind:
+    //   - duplicate-note-id: a note with more than one note-id/* tag
+    //   - dangling: an r/* tag pointing at a note-id no note has
+    //   - missing-reciprocal: r/parent/X with no matching r/child/Y on X (or the reverse)
+    //   - one-way: an r/<type>/X tag with nothing pointing back, between two notes that
+    //     addRelationshipByType would have linked both ways (anything but project → non-project)
+    // Each group is { kind, reason, issues }, in the order repairRelationshipIntegrity fixes them.
+    // Called from: taggingCleanup, repairRelationshipIntegrity, appOption "Repair Relationships"
+    // ===============================================================================================
+    checkRelationshipIntegrity: async function (app) {
+      const plugin = this;
+      const allNotes = await plugin._getCachedNotes(app);
+
+      const noteIds = (note) =>
+        note.tags.filter((t) => t.startsWith('note-id/')).map((t) => t.split('/')[1]);
+      const byNoteId = new Map();
+      for (const note of allNotes) {
+        for (const id of noteIds(note)) {
+          if (!byNoteId.has(id)) byNoteId.set(id, note);
+        }
+      }
+      // The note cache leaves out archived and excluded notes, but links to them are still valid,
+      // so ids it doesn't know are looked up in the whole notebook (null if no note has the id)
+      const resolveNoteId = async (id) => {
+        if (!byNoteId.has(id)) {
+          const [match] = await app.filterNotes({ tag: `note-id/${id}` });
+          byNoteId.set(id, match || null);
+        }
+        return byNoteId.get(id);
+      };
+      // True if `note` has an r/<prefix>... tag ending in one of `ids`
+      const pointsAt = (note, ids, prefix) =>
+        note.tags.some((t) => t.startsWith(prefix) && ids.includes(t.split('/').pop()));
+
+      const groups = {
+        'duplicate-note-id': { reason: 'Notes with more than one note-id tag', issues: [] },
+        dangling: { reason: 'Relationship tags pointing at missing note-ids', issues: [] },
+        'missing-reciprocal': { reason: 'Parent/child tags missing on the other side', issues: [] },
+        'one-way': { reason: 'One-way relationships that should be two-way', issues: [] },
+      };
+      const seenPairs = new Set();
+
+      for (const note of allNotes) {
+        const ids = noteIds(note);
+        if (ids.length > 1) groups['duplicate-note-id'].issues.push({ note, ids });
+
+        for (const tag of note.tags.filter((t) => t.startsWith('r/'))) {
+          const parsed = plugin.parseRelationshipTag(tag);
+          if (!parsed) continue; // malformed tag
+          const { type, noteId: targetId } = parsed;
+
+          const target = await resolveNoteId(targetId);
+          if (!target) {
+            groups.dangling.issues.push({ note, tag });
+            continue;
+          }
+          if (target.uuid === note.uuid) continue;
+
+          if (type === 'parent' || type === 'child') {
+            const [child, parent] = type === 'parent' ? [note, target] : [target, note];
+            const linked =
+              pointsAt(parent, noteIds(child), 'r/child/') &&
+              pointsAt(child, noteIds(parent), 'r/parent/');
+            const key = `${child.uuid}>${parent.uuid}`;
+            if (!linked && !seenPairs.has(key)) {
+              seenPairs.add(key);
+              groups['missing-reciprocal'].issues.push({ note, tag, child, parent });
+            }
+            continue;
+          }
+
+          const noteType = plugin.getNoteType(note);
+          const targetType = plugin.getNoteType(target);
+          if (!noteType || !targetType) continue;
+          // Project → non-project links are one-way by design
+          if ((noteType === 'project') !== (targetType === 'project')) continue;
+
+          const pointsBack = target.tags.some(
+            (t) =>
+              t.startsWith('r/') &&
+              !t.startsWith('r/parent/') &&
+              !t.startsWith('r/child/') &&
+              ids.includes(t.split('/').pop()),
+          );
+          if (!pointsBack) groups['one-way'].issues.push({ note, tag, related: target });
+        }
+      }
+
+      return Object.entries(groups)
+        .filter(([, group]) => group.issues.length > 0)
+        .map(([kind, group]) => ({ kind, ...group }));
+    }, // end checkRelationshipIntegrity
+
+    // ===============================================================================================
+    // Fixes every defect checkRelationshipIntegrity finds, one kind at a time (re-scanning in
+    // between, since merging duplicate note-ids can resolve or reveal other defects):
+    //   - duplicate-note-id: keeps the id most r/* tags point at, repoints tags using the others
+    //   - dangling: removes the tag
+    //   - missing-reciprocal: re-links the pair with setParentChildRelationship, or, if
+    //     checkParentChildLink refuses the link, removes the one-sided tag with removeRelationship
+    //   - one-way: re-links the pair with addRelationshipByType
+    // Returns { repaired, removed }: the number of defects actually repaired (a note that has
+    // disappeared since the scan isn't counted) and the checkParentChildLink messages for the
+    // parent/child links that were removed instead.
+    // Called from: appOption "Repair Relationships"
+    // ===============================================================================================
+    repairRelationshipIntegrity: async function (app) {
+      const plugin = this;
+      let repaired = 0;
+      const removed = [];
+
+      // r/* tags on any note that point at the given note-id value
+      const tagsPointingAt = (note, id) =>
+        note.tags.filter((t) => t.startsWith('r/') && t.endsWith(`/${id}`));
+
+      // Returns true if the note still had oldTag and it was swapped
+      const retag = async (noteUUID, oldTag, newTag) => {
+        const note = await app.notes.find(noteUUID);
+        if (!note || !note.tags.includes(oldTag)) return false;
+        await note.removeTag(oldTag);
+        plugin.removeCacheTag(noteUUID, oldTag);
+        if (newTag) {
+          await note.addTag(newTag);
+          plugin.updateCacheWithTag(noteUUID, newTag);
+        }
+        return true;
+      };
+
+      for (const kind of ['duplicate-note-id', 'dangling', 'missing-reciprocal', 'one-way']) {
+        plugin.invalidateNoteCache();
+        const group = (await plugin.checkRelationshipIntegrity(app)).find((g) => g.kind === kind);
+        if (!group) continue;
+
+        for (const issue of group.issues) {
+          let fixed = false;
+          if (kind === 'duplicate-note-id') {
+            const allNotes = await plugin._getCachedNotes(app);
+            const references = (id) => allNotes.filter((n) => tagsPointingAt(n, id).length).length;
+            const [keepId, ...dropIds] = [...issue.ids].sort(
+              (a, b) => references(b) - references(a) || a.localeCompare(b),
+            );
+
+            for (const dropId of dropIds) {
+              for (const other of allNotes) {
+                for (const tag of tagsPointingAt(other, dropId)) {
+                  await retag(other.uuid, tag, tag.slice(0, -dropId.length) + keepId);
+                }
+              }
+              if (await retag(issue.note.uuid, `note-id/${dropId}`, null)) fixed = true;
+            }
+          } else if (kind === 'dangling') {
+            fixed = await retag(issue.note.uuid, issue.tag, null);
+          } else if (kind === 'missing-reciprocal') {
+            const child = await app.notes.find(issue.child.uuid);
+            const parent = await app.notes.find(issue.parent.uuid);
+            if (!child || !parent) continue;
+            const problem = await plugin.checkParentChildLink(app, child, parent);
+            if (problem) {
+              // The link can't be completed, so drop the half that's there
+              await plugin.removeRelationship(app, child, { type: 'parent', uuid: parent.uuid });
+              removed.push(problem);
+              continue;
+            }
+            fixed = await plugin.setParentChildRelationship(app, child.uuid, parent.uuid);
+          } else {
+            const note = await app.notes.find(issue.note.uuid);
+            const related = await app.notes.find(issue.related.uuid);
+            if (!note || !related) continue;
+            // Re-adding with the tag's own role mirrors its inverse onto the other note
+            const { role } = plugin.parseRelationshipTag(issue.tag);
+            await plugin.addRelationshipByType(app, note, { uuid: issue.related.uuid }, role);
+
+            // Only count it if the related note now points back
+            const ids = (await app.notes.find(note.uuid)).tags
+              .filter((t) => t.startsWith('note-id/'))
+              .map((t) => t.split('/')[1]);
+            fixed = (await app.notes.find(related.uuid)).tags.some((t) => {
+              const parsed = plugin.parseRelationshipTag(t);
+              return (
+                parsed && !['parent', 'child'].includes(parsed.type) && ids.includes(parsed.noteId)
+              );
+            });
+          }
+          if (fixed) repaired++;
+        }
+      }
+
+      return { repaired, removed };
+    }, // end repairRelationshipIntegrity
+
+    // ===============================================================================================
+    // Merges the source note into the target note:
+    //   1. Moves open tasks, then appends the rest of the source content under a
+    //      "Merged from <name>" heading (see mergeableContent)
+    //   2. Copies tags the target doesn't have, skipping project status, domain and reference
+    //      category tags when the target already has its own
+    //   3. Repoints every r/*/<source-id> tag in the notebook at the target's note-id and carries
+    //      the source's own r/* tags (parent/child and typed links) over to the target
+    //   4. Archives the source, dropping its relationship tags so nothing dangles
+    //   5. Refreshes the Related sections of the target and every note whose tags changed
+    // Refused up front if the types differ or a carried parent/child link would create a cycle.
+    // Returns { tasks, tags, relinked } counts, or null if the merge was refused.
+    // Called from: noteOption "Merge Into…"
+    // ===============================================================================================
+    mergeNotes: async function (app, sourceUUID, targetUUID) {
+      const plugin = this;
+
+      const source = await app.notes.find(sourceUUID);
+      const target = await app.notes.find(targetUUID);
+      if (!source || !target) {
+        await app.alert('❌ Could not find the notes to merge.');
+        return null;
+      }
+      if (source.uuid === target.uuid) {
+        await app.alert('❌ A note cannot be merged into itself.');
+        return null;
+      }
+
+      const sourceType = plugin.getNoteType(source);
+      const targetType = plugin.getNoteType(target);
+      if (sourceType && targetType && sourceType !== targetType) {
+        await app.alert(
+          `❌ Cannot merge ${source.name} into ${target.name}: note types do not match.\n\n` +
+            `• Source is type: ${sourceType}\n` +
+            `• Target is type: ${targetType}`,
+        );
+        return null;
+      }
+
+      // The target takes over the source's parents and children; check those links first
+      const problems = await plugin.checkMergedParentChildLinks(app, source, target);
+      if (problems.length > 0) {
+        await app.alert(
+          `❌ Cannot merge ${source.name} into ${target.name}: ` +
+            `its parent/child links can't move to ${target.name}.\n\n` +
+            problems.map((problem) => problem.replace(/^❌ /, '• ')).join('\n\n'),
+        );
+        return null;
+      }
+
+      // === 1. Tasks and content ===
+      const openTasks = await app.getNoteTasks({ uuid: source.uuid });
+      if (openTasks.length > 0) {
+        await plugin.moveTasks(app, openTasks, source.uuid, target.uuid);
+      }
+
+      const content = plugin.mergeableContent(await app.getNoteContent({ uuid: source.uuid }));
+      if (content) {
+        const merged = `# Merged from ${source.name}\n${content}`;
+        await app.insertNoteContent({ uuid: target.uuid }, merged, { atEnd: true });
+      }
+
+      // === 2. Classification tags ===
+      const exclusivePrefixes = ['project/', 'd/', 'reference/'];
+      let tagsCopied = 0;
+      for (const tag of source.tags) {
+        if (tag.startsWith('note-id/') || tag.startsWith('r/')) continue;
+        if (target.tags.includes(tag)) continue;
+        const prefix = exclusivePrefixes.find((p) => tag.startsWith(p));
+        if (prefix && target.tags.some((t) => t.startsWith(prefix))) continue;
+
+        await target.addTag(tag);
+        plugin.updateCacheWithTag(target.uuid, tag);
+        tagsCopied++;
+      }
+
+      // === 3. Relationships ===
+      const sourceIds = source.tags
+        .filter((t) => t.startsWith('note-id/'))
+        .map((t) => t.split('/')[1]);
+      const targetId = (await plugin.getNoteIdTag(app, target)).split('/')[1];
+      const affected = new Set([target.uuid]);
+      let relinked = 0;
+
+      // Tags elsewhere that point at the source
+      for (const handle of await plugin._getCachedNotes(app)) {
+        if (handle.uuid === source.uuid) continue;
+        const pointing = handle.tags.filter(
+          (t) => t.startsWith('r/') && sourceIds.includes(t.split('/').pop()),
+        );
+        if (pointing.length === 0) continue;
+
+        const note = await app.notes.find(handle.uuid);
+        if (!note) continue;
+        for (const tag of pointing) {
+          await note.removeTag(tag);
+          plugin.removeCacheTag(note.uuid, tag);
+          // A link from the target to the source would become a link to itself
+          const newTag = tag.slice(0, tag.lastIndexOf('/') + 1) + targetId;
+          if (note.uuid !== target.uuid && !note.tags.includes(newTag)) {
+            await note.addTag(newTag);
+            plugin.updateCacheWithTag(note.uuid, newTag);
+          }
+          relinked++;
+        }
+        affected.add(note.uuid);
+      }
+
+      // The source's own links (its parents, children and typed relationships)
+      const targetIds = target.tags
+        .filter((t) => t.startsWith('note-id/'))
+        .map((t) => t.split('/')[1])
+        .concat(targetId);
+      for (const tag of source.tags.filter((t) => t.startsWith('r/'))) {
+        if (!targetIds.includes(tag.split('/').pop()) && !target.tags.includes(tag)) {
+          await target.addTag(tag);
+          plugin.updateCacheWithTag(target.uuid, tag);
+          relinked++;
+        }
+        const related = await plugin._getCachedNotes(app, `note-id/${tag.split('/').pop()}`);
+        if (related.length > 0) affected.add(related[0].uuid);
+      }
+
+      // === 4. Archive the source ===
+      for (const tag of source.tags.filter((t) => t.startsWith('r/'))) {
+        await source.removeTag(tag);
+        plugin.removeCacheTag(source.uuid, tag);
+      }
+      await source.addTag('archive');
+      const targetLink = plugin.normalizeNoteHandle(target);
+      const mergedOn = new Date().toLocaleDateString();
+      await app.insertNoteContent(
+        { uuid: source.uuid },
+        `_Merged into [${targetLink.name}](${targetLink.url}) on ${mergedOn}._`,
+      );
+      // Archived notes drop out of the note cache
+      plugin.invalidateNoteCache();
+
+      // === 5. Refresh Related sections ===
+      for (const uuid of affected) {
+        const note = await app.notes.find(uuid);
+        if (!note) continue;
+        const domainTags = note.tags.filter((t) => t.startsWith('d/'));
+        await plugin.updateAllRelatedSections(app, uuid, domainTags);
+      }
+
+      return { tasks: openTasks.length, tags: tagsCopied, relinked };
+    }, // end mergeNotes
+
+    // ===============================================================================================
+    // Lists the checkParentChildLink problems with the parent/child links mergeNotes would move
+    // from the source to the target: the source's own r/parent/ and r/child/ tags and the tags
+    // on other notes that point back at it. Returns an array of alert messages (empty if all fit).
+    // Calls: checkParentChildLink, _getCachedNotes
+    // Called from: mergeNotes
+    // ===============================================================================================
+    checkMergedParentChildLinks: async function (app, source, target) {
+      const plugin = this;
+      const sourceIds = source.tags
+        .filter((t) => t.startsWith('note-id/'))
+        .map((t) => t.split('/')[1]);
+      // An untyped target takes the source's type in the merge, so check it as if it had it
+      const copiedTags = source.tags.filter(
+        (t) => !t.startsWith('r/') && !t.startsWith('note-id/'),
+      );
+      const mergedTarget = plugin.getNoteType(target)
+        ? target
+        : { ...target, tags: [...target.tags, ...copiedTags] };
+
+      // uuid -> 'parent' | 'child', from the source's point of view
+      const links = new Map();
+      const addLink = async (id, role) => {
+        const [related] = await plugin._getCachedNotes(app, `note-id/${id}`);
+        if (related && related.uuid !== source.uuid && related.uuid !== target.uuid) {
+          links.set(`${role}:${related.uuid}`, { note: related, role });
+        }
+      };
+      for (const tag of source.tags) {
+        if (tag.startsWith('r/parent/')) await addLink(tag.split('/')[2], 'parent');
+        if (tag.startsWith('r/child/')) await addLink(tag.split('/')[2], 'child');
+      }
+      for (const handle of await plugin._getCachedNotes(app)) {
+        const noteId = handle.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+        if (!noteId || handle.uuid === source.uuid) continue;
+        for (const tag of handle.tags) {
+          if (!sourceIds.includes(tag.split('/').pop())) continue;
+          if (tag.startsWith('r/child/')) await addLink(noteId, 'parent');
+          if (tag.startsWith('r/parent/')) await addLink(noteId, 'child');
+        }
+      }
+
+      const problems = [];
+      for (const { note, role } of links.values()) {
+        const problem =
+          role === 'parent'
+            ? await plugin.checkParentChildLink(app, mergedTarget, note)
+            : await plugin.checkParentChildLink(app, note, mergedTarget);
+        if (problem) problems.push(problem);
+      }
+      return problems;
+    }, // end checkMergedParentChildLinks
+
+    // ===============================================================================================
+    // Prepares a merged note's content to be appended under the target's "Merged from" heading:
+    //   - task lines are dropped (mergeNotes moves the tasks), with the lines nested under them
+    //   - generated sections (relatedSections) are dropped, since the target rebuilds its own
+    //   - remaining headings are demoted one level so they sit under "Merged from" and can't be
+    //     mistaken for the target's own sections
+    // Called from: mergeNotes
+    // ===============================================================================================
+    mergeableContent: function (markdown) {
+      const generated = this.relatedSections.map((section) => section.name);
+      const indentOf = (line) => {
+        const comment = line.match(/<!--\s*\{["']?indent["']?:\s*(\d+)\s*\}\s*-->/);
+        return comment ? Number(comment[1]) * 4 : line.match(/^\s*/)[0].length;
+      };
+
+      const kept = [];
+      let skipSectionLevel = 0; // inside a generated section of this heading level
+      let taskIndent = -1; // just past a task line at this indent
+      for (const line of (markdown || '').split('\n')) {
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*$/);
+        if (heading) {
+          const level = heading[1].length;
+          taskIndent = -1;
+          if (skipSectionLevel && level > skipSectionLevel) continue;
+          skipSectionLevel = generated.includes(heading[2]) ? level : 0;
+          if (!skipSectionLevel) kept.push(`${'#'.repeat(Math.min(level + 1, 6))} ${heading[2]}`);
+          continue;
+        }
+        if (skipSectionLevel) continue;
+
+        const indent = indentOf(line);
+        if (taskIndent >= 0 && line.trim() && indent > taskIndent) continue;
+        taskIndent = -1;
+        if (/^\s*[-*+] \[[ xX]?\]/.test(line)) {
+          taskIndent = indent;
+          continue;
+        }
+        kept.push(line);
+      }
+
+      return kept.join('\n').trim();
+    }, // end mergeableContent
+
+    // ===============================================================================================
+    // Moves a note (and everything under it) to a new parent: it's detached from all of its current
+    // parents and attached to the new one. Its own r/child/ tags are untouched, so the subtree
+    // comes along. The link is checked up front, so a refused move changes nothing.
+    // Returns { oldParents, newParent } or null if the move was refused.
+    // Calls: checkParentChildLink, removeRelationship, setParentChildRelationship
+    // Called from: noteOption "Move Under…"
+    // ===============================================================================================
+    moveNoteUnder: async function (app, noteUUID, newParentUUID) {
+      const plugin = this;
+
+      const note = await app.notes.find(noteUUID);
+      const newParent = await app.notes.find(newParentUUID);
+      if (!note || !newParent) {
+        await app.alert('❌ Could not find the note or its new parent.');
+        return null;
+      }
+
+      const problem = await plugin.checkParentChildLink(app, note, newParent);
+      if (problem) {
+        await app.alert(problem);
+        return null;
+      }
+
+      // === 1. Detach from the current parents ===
+      const currentParents = await plugin.getParentNotes(app, note.uuid);
+      const oldParents = currentParents.filter((p) => p.uuid !== newParent.uuid);
+      for (const parent of oldParents) {
+        await plugin.removeRelationship(app, note, { type: 'parent', uuid: parent.uuid });
+      }
+
+      // === 2. Attach to the new parent ===
+      if (!currentParents.some((p) => p.uuid === newParent.uuid)) {
+        await plugin.setParentChildRelationship(app, note.uuid, newParent.uuid);
+      }
+
+      // === 3. Refresh the hierarchy sections on every note involved ===
+      await plugin.updateParentNotesSection(app, note.uuid);
+      for (const uuid of [...oldParents.map((p) => p.uuid), newParent.uuid]) {
+        await plugin.updateChildNotesSection(app, uuid);
+      }
+
+      return { oldParents, newParent: plugin.normalizeNoteHandle(newParent) };
+    }, // end moveNoteUnder
+    //#endregion
+
+    //#region List Builder Functions (Markdown Output)
+    // #################################################################################################
+    // #################################################################################################
+    //
+    //                              List Builder Functions (Markdown Output)
+    //
+    // #################################################################################################
+    // #################################################################################################
+    // ===============================================================================================
+    // Recursively build a nested list of related notes, using parent/child tag relationships.
+    // Optional: customize how each note is displayed using formatLabel(note, handle).
+    // ===============================================================================================
+    buildNestedNoteList: async function (app, notes, options) {
+      const plugin = this;
+      const {
+        noteIdPrefix = 'note-id/', // tag used to uniquely identify a note (e.g., "note-id/20250823...")
+        parentTagPrefix = 'r/parent/', // tag prefix used on child notes to point to their parent
+        // not currently used (included for symmetry)
+        childTagPrefix = 'r/child/', // eslint-disable-line no-unused-vars
+        includeChildren = true, // whether to include child notes
+        indentLevel = 0, // how far to indent this level of the list
+        ancestors = new Set(), // uuids on the path to this level; a note never nests under itself
+        parentUUID = null, // the note this level is nested under (null at the top level)
+        formatLabel = null, // optional function to customize the label text
+      } = options;
+
+      // Helper: extract the note ID from a tag like "note-id/20250823104500"
+      const getNoteId = (note) =>
+        note.tags.find((t) => t.startsWith(noteIdPrefix))?.split('/')[1] || null;
 
       const normalize = plugin.normalizeNoteHandle; // returns { name, url, tags }
       const indent = '    '.repeat(indentLevel); // 4 spaces per level
+      const rendered = new Set(); // notes already listed at this level
       let output = '';
 
       for (const note of notes) {
         if (!note) continue;
 
-        // Skip notes we've already rendered (prevents cycles)
-        if (visited.has(note.uuid)) continue;
-        visited.add(note.uuid);
+        // A note already on the path above would start a parent/child cycle, so stop there
+        if (ancestors.has(note.uuid) || rendered.has(note.uuid)) continue;
+        rendered.add(note.uuid);
 
         // Format the basic bullet label
         const handle = normalize(note);
@@ -859,6 +2815,22 @@
           label = formatLabel(note, handle);
         }
 
+        // A child with several parents is listed under each of them; say where else it lives
+        const parentIds = note.tags
+          .filter((t) => t.startsWith(parentTagPrefix))
+          .map((t) => t.slice(parentTagPrefix.length));
+        if (parentUUID && parentIds.length > 1) {
+          const otherParents = [];
+          for (const pid of parentIds) {
+            const parent = (await plugin.getFilteredNotes(app, `${noteIdPrefix}${pid}`))[0];
+            if (parent && parent.uuid !== parentUUID) otherParents.push(normalize(parent));
+          }
+          if (otherParents.length > 0) {
+            const links = otherParents.map((p) => `[${p.name}](${p.url})`).join(', ');
+            label += ` _(shared — also under ${links})_`;
+          }
+        }
+
         // Render the note as a bullet point
         output += `${indent}- ${label}\n`;
 
@@ -876,7 +2848,8 @@
         const childMarkdown = await plugin.buildNestedNoteList(app, children, {
           ...options,
           indentLevel: indentLevel + 1,
-          visited: new Set(visited), // clone set to allow shared children across branches
+          ancestors: new Set([...ancestors, note.uuid]),
+          parentUUID: note.uuid,
         });
 
         output += childMarkdown;
@@ -885,6 +2858,67 @@
       return output;
     }, // end buildNestedNoteList
 
+    // ===============================================================================================
+    // Builds a markdown bullet list of tasks sorted by score, with deadlines prefixed and
+    // footnotes uniquified. If a map of source notes (uuid -> note) is given, each task is
+    // followed by a link to the note it lives on.
+    // Called from: updateRelatedTasksSection, updateBracketedSections (list/context)
+    // ===============================================================================================
+    buildTaskList: function (tasks, sourceNotes = null) {
+      const plugin = this;
+      const sorted = [...tasks].sort((a, b) => (b.score || 0) - (a.score || 0));
+
+      let counter = 1;
+      const taskLines = sorted.map((task) => {
+        let taskText = task.content.trim();
+
+        if (task.deadline) {
+          const deadlineStr = plugin.convertDeadlineToTimeZone(task.deadline);
+          taskText = `(${deadlineStr}) ${taskText}`;
+        }
+
+        const { updatedContent, nextCounter } = plugin.uniquifyFootnotes(taskText, counter);
+        counter = nextCounter;
+
+        const source = sourceNotes?.get(task.noteUUID);
+        if (source) {
+          const handle = plugin.normalizeNoteHandle(source);
+          return `- ${updatedContent} — [${handle.name}](${handle.url})`;
+        }
+        return `- ${updatedContent}`;
+      });
+
+      return taskLines.join('\n');
+    }, // end buildTaskList
+
+    // ===============================================================================================
+    // Builds a markdown bullet list of waiting-for items (from getWaitingForTasks) showing each
+    // task's age and a link to the note it lives on. Returns the next footnote counter so several
+    // lists can share one section without footnote clashes (same contract as uniquifyFootnotes).
+    // Called from: updateWaitingForSection, updateBracketedSections ([waiting])
+    // ===============================================================================================
+    buildWaitingForList: function (items, { indentLevel = 0, counterStart = 1 } = {}) {
+      const plugin = this;
+      const indent = '    '.repeat(indentLevel);
+
+      let counter = counterStart;
+      const markdown = items
+        .map(({ task, source, ageDays }) => {
+          const { updatedContent, nextCounter } = plugin.uniquifyFootnotes(
+            task.content.trim(),
+            counter,
+          );
+          counter = nextCounter;
+
+          const age = ageDays === null ? '' : ` _(${ageDays} ${ageDays === 1 ? 'day' : 'days'})_`;
+          const handle = plugin.normalizeNoteHandle(source);
+          return `${indent}- ${updatedContent}${age} — [${handle.name}](${handle.url})`;
+        })
+        .join('\n');
+
+      return { markdown, nextCounter: counter };
+    }, // end buildWaitingForList
+
     // ===============================================================================================
     // Builds a nested list of reference notes (people, software, or horizon)
     // ===============================================================================================
@@ -940,6 +2974,7 @@
         format = 'standard', // eslint-disable-line no-unused-vars
         sortCompletedByDate = true, // if true, completed projects sorted newest first
         ignoreParentFiltering = false, // ✅ if true, allow child projects to be listed top-level
+        roleLabels = null, // optional Map of project uuid → relationship role label
       },
     ) {
       const plugin = this;
@@ -976,23 +3011,35 @@
         return n;
       };
 
-      const getTopAncestor = async (note) => {
-        let current = note;
-        while (true) {
-          const parentIds = getParentIds(current);
-          if (parentIds.length === 0) return current;
-
-          const firstParent = await getByNoteId(parentIds[0]);
-          if (!firstParent) return current;
-
-          current = firstParent;
+      // Every root the note hangs from: a child with several parents may sit in several trees.
+      // Notes whose parents are missing count as roots; `seen` stops parent cycles.
+      const getTopAncestors = async (note) => {
+        const roots = new Map();
+        const seen = new Set();
+        const queue = [note];
+        while (queue.length > 0) {
+          const current = queue.shift();
+          if (seen.has(current.uuid)) continue;
+          seen.add(current.uuid);
+
+          const parents = [];
+          for (const parentId of getParentIds(current)) {
+            const parent = await getByNoteId(parentId);
+            if (parent) parents.push(parent);
+          }
+          if (parents.length === 0) roots.set(current.uuid, current);
+          queue.push(...parents);
         }
+        // A note caught in a cycle with no way out is its own root
+        return roots.size > 0 ? [...roots.values()] : [note];
       };
 
       const formatProjectLabel = (note, handle) => {
         let label = `[${handle.name}](${handle.url})`;
 
-        const dateTag = handle.tags.find((t) => t.startsWith('project/completed/'))?.split('/')[2];
+        const dateTag = handle.tags
+          .find((t) => t.startsWith('project/completed/') || t.startsWith('project/canceled/'))
+          ?.split('/')[2];
         if (dateTag && /^\d{6}$/.test(dateTag)) {
           const year = dateTag.slice(0, 4);
           const month = dateTag.slice(4);
@@ -1003,6 +3050,9 @@
           label += ` (${dateTag})`;
         }
 
+        const role = roleLabels?.get(handle.uuid);
+        if (role) label += ` — ${role}`;
+
         return label;
       };
 
@@ -1056,8 +3106,7 @@
 
       for (const n of baseNotes) {
         if (hasParentTag(n)) {
-          const top = await getTopAncestor(n);
-          if (top) secondLevelRoots.set(top.uuid, top);
+          for (const top of await getTopAncestors(n)) secondLevelRoots.set(top.uuid, top);
         }
       }
 
@@ -1083,10 +3132,11 @@
         // Add status label (but only if there are projects in this status)
         md += `- ${status.label}\n`;
 
-        if (status.tag === 'project/completed' && sortCompletedByDate) {
+        const isClosedStatus = status.tag === 'project/completed' || status.tag === 'project/canceled';
+        if (isClosedStatus && sortCompletedByDate) {
           roots.sort((a, b) => {
-            const ta = a.tags.find((t) => t.startsWith('project/completed/'))?.split('/')[2] || '';
-            const tb = b.tags.find((t) => t.startsWith('project/completed/'))?.split('/')[2] || '';
+            const ta = a.tags.find((t) => t.startsWith(`${status.tag}/`))?.split('/')[2] || '';
+            const tb = b.tags.find((t) => t.startsWith(`${status.tag}/`))?.split('/')[2] || '';
             return tb.localeCompare(ta);
           });
         } else {
@@ -1107,6 +3157,80 @@
 
       return md.trim();
     }, // end buildNestedProjectList
+
+    // Fill colors for relationship map nodes, keyed by the style group from graphNodeStyle
+    _graphNodeColors: {
+      project: '#dbeafe',
+      people: '#dcfce7',
+      software: '#fef3c7',
+      horizon: '#ede9fe',
+      reference: '#f3f4f6',
+      list: '#fce7f3',
+      other: '#ffffff',
+    },
+
+    // ===============================================================================================
+    // Maps a getNoteType result to a relationship map style group (see _graphNodeColors)
+    // Called from: buildRelationshipGraphMarkdown
+    // ===============================================================================================
+    graphNodeStyle: function (type) {
+      if (!type) return 'other';
+      if (['project', 'people', 'software', 'horizon'].includes(type)) return type;
+      if (type.startsWith('reference/')) return 'reference';
+      if (type.startsWith('list/')) return 'list';
+      return 'other';
+    }, // end graphNodeStyle
+
+    // ===============================================================================================
+    // Renders a graph from buildRelationshipGraph as a fenced Mermaid ("mermaid") or Graphviz
+    // ("dot") block. Nodes are colored by note type and the starting note gets a heavier border.
+    // Called from: updateRelationshipMapSection
+    // ===============================================================================================
+    buildRelationshipGraphMarkdown: function (graph, format = 'mermaid') {
+      const plugin = this;
+      const ids = new Map(graph.nodes.map((n, i) => [n.uuid, `n${i}`]));
+      const styles = [...new Set(graph.nodes.map((n) => plugin.graphNodeStyle(n.type)))];
+      const lines = [];
+
+      if (format === 'dot') {
+        const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        lines.push('digraph Relationships {');
+        lines.push('  rankdir=LR;');
+        lines.push('  node [shape=box, style="rounded,filled"];');
+        for (const node of graph.nodes) {
+          const color = plugin._graphNodeColors[plugin.graphNodeStyle(node.type)];
+          const border = node.hops === 0 ? ', penwidth=3' : '';
+          lines.push(
+            `  ${ids.get(node.uuid)} [label=${quote(node.name)}, fillcolor="${color}"${border}];`,
+          );
+        }
+        for (const edge of graph.edges) {
+          const attrs =
+            edge.label === null ? '' : ` [dir=none, style=dashed, label=${quote(edge.label)}]`;
+          lines.push(`  ${ids.get(edge.from)} -> ${ids.get(edge.to)}${attrs};`);
+        }
+        lines.push('}');
+        return '```dot\n' + lines.join('\n') + '\n```';
+      }
+
+      // Mermaid: quotes inside labels must be written as entity codes
+      const label = (text) => text.replace(/"/g, '#quot;');
+      lines.push('graph LR');
+      for (const node of graph.nodes) {
+        const style = plugin.graphNodeStyle(node.type);
+        lines.push(`  ${ids.get(node.uuid)}["${label(node.name)}"]:::${style}`);
+      }
+      for (const edge of graph.edges) {
+        const link = edge.label === null ? '-->' : edge.label ? `-.-|${label(edge.label)}|` : '-.-';
+        lines.push(`  ${ids.get(edge.from)} ${link} ${ids.get(edge.to)}`);
+      }
+      for (const style of styles) {
+        lines.push(`  classDef ${style} fill:${plugin._graphNodeColors[style]},stroke:#374151`);
+      }
+      const root = graph.nodes.find((n) => n.hops === 0);
+      if (root) lines.push(`  style ${ids.get(root.uuid)} stroke-width:3px`);
+      return '```mermaid\n' + lines.join('\n') + '\n```';
+    }, // end buildRelationshipGraphMarkdown
     //#endregion
 
     //#region Related Section Updater Functions
@@ -1117,22 +3241,33 @@
     //
     // #################################################################################################
     // #################################################################################################
+
+    // Sections whose content is generated from a note's tags (see updateAllRelatedSections),
+    // with the function that fills each one
+    relatedSections: [
+      { name: 'Recent Updates', method: 'updateRecentUpdatesSection' },
+      { name: 'Related Tasks', method: 'updateRelatedTasksSection' },
+      { name: 'Waiting For', method: 'updateWaitingForSection' },
+      { name: 'Related Projects', method: 'updateRelatedProjectsSection' },
+      { name: 'Blocked By', method: 'updateBlockedBySection' },
+      { name: 'Blocks', method: 'updateBlocksSection' },
+      { name: 'Related People', method: 'updateRelatedPeopleSection' },
+      { name: 'Related References', method: 'updateRelatedReferencesSection' },
+      { name: 'Related Software', method: 'updateRelatedSoftwareSection' },
+      { name: 'Related Horizons', method: 'updateRelatedHorizonsSection' },
+      { name: 'Parent Notes', method: 'updateParentNotesSection' },
+      { name: 'Child Notes', method: 'updateChildNotesSection' },
+    ],
+
     // ===============================================================================================
     // Updates any "Related *" sections with links to all related notes
     // Called from:
     // ===============================================================================================
     updateAllRelatedSections: async function (app, noteUUID, domainTags = []) {
-      const staticSections = [
-        { name: "Recent Updates", fn: this.updateRecentUpdatesSection },
-        { name: 'Related Tasks', fn: this.updateRelatedTasksSection },
-        { name: 'Related Projects', fn: this.updateRelatedProjectsSection },
-        { name: 'Related People', fn: this.updateRelatedPeopleSection },
-        { name: 'Related References', fn: this.updateRelatedReferencesSection },
-        { name: 'Related Software', fn: this.updateRelatedSoftwareSection },
-        { name: 'Related Horizons', fn: this.updateRelatedHorizonsSection },
-        { name: 'Parent Notes', fn: this.updateParentNotesSection },
-        { name: 'Child Notes', fn: this.updateChildNotesSection },
-      ];
+      const staticSections = this.relatedSections.map((section) => ({
+        name: section.name,
+        fn: this[section.method],
+      }));
 
       let totalUpdated = 0;
       let totalCount = 0;
@@ -1149,32 +3284,39 @@
         }
       }
 
+      // Rewritten sections (e.g. Recent Updates) can carry tasks in from other notes
+      if (totalUpdated > 0) this.invalidateNoteTasks(noteUUID);
+
       return { updatedSections: totalUpdated, totalItems: totalCount };
     }, //end updateAllRelatedSections
 
     // ===============================================================================================
-    // Inserts a five-week calendar into the Calendar section on a note
-    // Called from:
+    // Fills every Calendar section on a note. The heading picks the view, e.g. "Calendar" (five
+    // rolling weeks), "Calendar [month]", "Calendar [quarter, monday]" (see _parseCalendarView).
+    // Called from: taggingCleanup, linkOption "Create Daily Jot"
     // ===============================================================================================
     updateCalendarSection: async function(app, noteUUID) {
-      const sectionHeading = 'Calendar';
-      
-      // 1. Find section (don't create if missing)
+      // 1. Find calendar sections (don't create if missing)
       const sections = await app.getNoteSections({ uuid: noteUUID });
-      const targetSection = sections.find(
-        (s) => s.heading && s.heading.text.toLowerCase() === sectionHeading.toLowerCase()
-      );
-      if (!targetSection) return { updated: false, count: 0 };
-      
-      // 2. Calculate date range (previous Sunday - 4 weeks ahead)
-      const calendar = await this._buildFiveWeekCalendar(app);
+      const calendarSections = sections
+        .filter((s) => s.heading)
+        .map((s) => ({ heading: s.heading.text, view: this._parseCalendarView(s.heading.text) }))
+        .filter((s) => s.view);
+      if (calendarSections.length === 0) return { updated: false, count: 0 };
       
-      // 3. Replace section content
-      await app.replaceNoteContent(noteUUID, calendar, {
-        section: { heading: { text: sectionHeading } }
-      });
+      let count = 0;
+      for (const { heading, view } of calendarSections) {
+        // 2. Build the view
+        const calendar = await this._buildCalendar(app, view);
+        count += calendar.dayCount;
+        
+        // 3. Replace section content
+        await app.replaceNoteContent(noteUUID, calendar.markdown, {
+          section: { heading: { text: heading } }
+        });
+      }
       
-      return { updated: true, count: 35 }; // 5 weeks = 35 days
+      return { updated: true, count };
     }, //end updateCalendarSection
 
     // ===============================================================================================
@@ -1184,15 +3326,8 @@
     updateRecentUpdatesSection: async function (app, noteUUID, maxEntries = 4) {
       const sectionHeading = 'Recent Updates';
 
-      // Helper function to parse date from jot title (e.g., "October 25th, 2025")
-      function parseDateFromJotTitle(title) {
-        // Remove ordinal suffixes (st, nd, rd, th) from the day
-        const cleanedTitle = title.replace(/(\d+)(st|nd|rd|th)/, '$1');
-        const parsedDate = new Date(cleanedTitle);
-        
-        // Return timestamp, or 0 if invalid
-        return isNaN(parsedDate.getTime()) ? 0 : parsedDate.getTime();
-      }
+      // Jot dates come from their titles (see parseJotName); 0 sorts undated jots last
+      const parseDateFromJotTitle = (title) => this.parseJotName(title)?.getTime() || 0;
 
       // 1. Find the section (don't add if it doesn't exist)
       const sections = await app.getNoteSections({ uuid: noteUUID });
@@ -1483,32 +3618,44 @@
       const allTasks = [...ownTasks, ...referencedTasks];
       const uniqueTasks = Array.from(new Map(allTasks.map((t) => [t.uuid, t])).values());
 
-      // 7. Sort by score descending
-      uniqueTasks.sort((a, b) => (b.score || 0) - (a.score || 0));
+      // 7. Build markdown list sorted by score, with deadlines & uniquified footnotes
+      const taskList = this.buildTaskList(uniqueTasks);
 
-      // 8. Build markdown list with deadlines & uniquified footnotes
-      let counter = 1;
-      const taskLines = uniqueTasks.map((task) => {
-        let taskText = task.content.trim();
+      // 8. Replace section content
+      await app.replaceNoteContent(noteUUID, taskList, {
+        section: { heading: { text: sectionHeading } },
+      });
 
-        if (task.deadline) {
-          const deadlineStr = this.convertDeadlineToPacific(task.deadline);
-          taskText = `(${deadlineStr}) ${taskText}`;
-        }
+      return { updated: true, count: uniqueTasks.length };
+    }, // end updateRelatedTasksSection
 
-        const { updatedContent, nextCounter } = this.uniquifyFootnotes(taskText, counter);
-        counter = nextCounter;
+    // ===============================================================================================
+    // Updates any existing Waiting For section on a people note with every delegated task that
+    // links to this person
+    // Called from: updateAllRelatedSections
+    // ===============================================================================================
+    updateWaitingForSection: async function (app, noteUUID, domainTags = []) {
+      const sectionHeading = 'Waiting For';
 
-        return `- ${updatedContent}`;
-      });
+      const sections = await app.getNoteSections({ uuid: noteUUID });
+      const targetSection = sections.find(
+        (s) => s.heading && s.heading.text.toLowerCase() === sectionHeading.toLowerCase(),
+      );
+      if (!targetSection) return { updated: false, count: 0 };
+
+      const waiting = await this.getWaitingForTasks(app, domainTags);
+      const items = waiting.get(noteUUID)?.items || [];
+
+      const waitingList = items.length
+        ? this.buildWaitingForList(items).markdown
+        : '_(Not waiting on anything)_';
 
-      // 9. Replace section content
-      await app.replaceNoteContent(noteUUID, taskLines.join('\n'), {
+      await app.replaceNoteContent(noteUUID, waitingList, {
         section: { heading: { text: sectionHeading } },
       });
 
-      return { updated: true, count: uniqueTasks.length };
-    }, // end updateRelatedTasksSection
+      return { updated: true, count: items.length };
+    }, // end updateWaitingForSection
 
     // ===============================================================================================
     // Updates any existing Related Projects section with links to all related projects
@@ -1542,11 +3689,25 @@
           ),
       );
 
+      // Prefer this note's own role toward the project, else the project's role for this note
+      const roleLabels = new Map();
+      for (const project of filteredMatches) {
+        const projectId = project.tags.find((t) => t.startsWith('note-id/'))?.split('/')[1];
+        const role = [
+          ...note.tags.filter((t) => projectId && t.endsWith(`/${projectId}`)),
+          ...project.tags.filter((t) => t.endsWith(`/${noteIdValue}`)),
+        ]
+          .map((t) => this.parseRelationshipTag(t)?.role)
+          .find(Boolean);
+        if (role) roleLabels.set(project.uuid, this.roleLabel(role));
+      }
+
       const md = await this.buildNestedProjectList(app, {
         baseNotes: filteredMatches,
         groupByStatus: 'full',
         includeChildren: true,
         format: 'standard',
+        roleLabels,
       });
 
       await app.replaceNoteContent(noteUUID, md, {
@@ -1556,6 +3717,55 @@
       return { updated: true, count: filteredMatches.length };
     }, // end updateRelatedProjectsSection
 
+    // ===============================================================================================
+    // Writes one side of a project's dependencies into the named section, each with its status
+    // Called from: updateBlockedBySection, updateBlocksSection
+    // ===============================================================================================
+    _updateDependencySection: async function (app, noteUUID, sectionHeading, direction) {
+      const sections = await app.getNoteSections({ uuid: noteUUID });
+      const targetSection = sections.find(
+        (s) => s.heading && s.heading.text.toLowerCase() === sectionHeading.toLowerCase(),
+      );
+      if (!targetSection) return { updated: false, count: 0 };
+
+      const note = await app.notes.find(noteUUID);
+      const projects = (await this.getProjectDependencies(app, note))[direction];
+
+      const list = projects.length
+        ? projects
+            .map((n) => {
+              const handle = this.normalizeNoteHandle(n);
+              const status = n.tags.find((t) => t.startsWith('project/'))?.split('/')[1];
+              return `- [${handle.name}](${handle.url})${status ? ` _(${status})_` : ''}`;
+            })
+            .join('\n')
+        : direction === 'blockedBy'
+          ? '_(Not blocked by any project)_'
+          : '_(Not blocking any project)_';
+
+      await app.replaceNoteContent(noteUUID, list, {
+        section: { heading: { text: sectionHeading } },
+      });
+
+      return { updated: true, count: projects.length };
+    }, // end _updateDependencySection
+
+    // ===============================================================================================
+    // Updates any existing Blocked By section with the projects this project depends on
+    // Called from: updateAllRelatedSections
+    // ===============================================================================================
+    updateBlockedBySection: async function (app, noteUUID) {
+      return this._updateDependencySection(app, noteUUID, 'Blocked By', 'blockedBy');
+    }, // end updateBlockedBySection
+
+    // ===============================================================================================
+    // Updates any existing Blocks section with the projects that depend on this project
+    // Called from: updateAllRelatedSections
+    // ===============================================================================================
+    updateBlocksSection: async function (app, noteUUID) {
+      return this._updateDependencySection(app, noteUUID, 'Blocks', 'blocks');
+    }, // end updateBlocksSection
+
     // ===============================================================================================
     // Updates any existing Related People section with links to all related people
     // Called from:
@@ -1580,20 +3790,22 @@
 
       const relatedPeople = [];
       for (const tag of peopleTags) {
-        const noteId = tag.split('/')[2];
+        const { noteId, role } = this.parseRelationshipTag(tag);
 
         // Use new helper to get matches, filtered by domain/exclusions
         let matches = await this.getFilteredNotes(app, `note-id/${noteId}`, domainTags);
 
         if (matches.length > 0) {
-          relatedPeople.push(this.normalizeNoteHandle(matches[0]));
+          relatedPeople.push({ ...this.normalizeNoteHandle(matches[0]), role });
         }
       }
 
       relatedPeople.sort((a, b) => a.name.localeCompare(b.name));
 
       const peopleList = relatedPeople.length
-        ? relatedPeople.map((n) => `- [${n.name}](${n.url})`).join('\n')
+        ? relatedPeople
+            .map((n) => `- [${n.name}](${n.url})${n.role ? ` — ${this.roleLabel(n.role)}` : ''}`)
+            .join('\n')
         : '_(No related people)_';
 
       await app.replaceNoteContent(noteUUID, peopleList, {
@@ -1689,20 +3901,22 @@
 
       const relatedSoftware = [];
       for (const tag of softwareTags) {
-        const noteId = tag.split('/')[2];
+        const { noteId, role } = this.parseRelationshipTag(tag);
 
         // Use new helper to get matches, filtered by domain/exclusions
         let matches = await this.getFilteredNotes(app, `note-id/${noteId}`, domainTags);
 
         if (matches.length > 0) {
-          relatedSoftware.push(this.normalizeNoteHandle(matches[0]));
+          relatedSoftware.push({ ...this.normalizeNoteHandle(matches[0]), role });
         }
       }
 
       relatedSoftware.sort((a, b) => a.name.localeCompare(b.name));
 
       const softwareList = relatedSoftware.length
-        ? relatedSoftware.map((n) => `- [${n.name}](${n.url})`).join('\n')
+        ? relatedSoftware
+            .map((n) => `- [${n.name}](${n.url})${n.role ? ` — ${this.roleLabel(n.role)}` : ''}`)
+            .join('\n')
         : '_(No related software)_';
 
       await app.replaceNoteContent(noteUUID, softwareList, {
@@ -1736,20 +3950,22 @@
 
       const relatedHorizons = [];
       for (const tag of horizonTags) {
-        const noteId = tag.split('/')[2];
+        const { noteId, role } = this.parseRelationshipTag(tag);
 
         // Use helper to get matches, filtered by domain/exclusions
         let matches = await this.getFilteredNotes(app, `note-id/${noteId}`, domainTags);
 
         if (matches.length > 0) {
-          relatedHorizons.push(this.normalizeNoteHandle(matches[0]));
+          relatedHorizons.push({ ...this.normalizeNoteHandle(matches[0]), role });
         }
       }
 
       relatedHorizons.sort((a, b) => a.name.localeCompare(b.name));
 
       const horizonList = relatedHorizons.length
-        ? relatedHorizons.map((n) => `- [${n.name}](${n.url})`).join('\n')
+        ? relatedHorizons
+            .map((n) => `- [${n.name}](${n.url})${n.role ? ` — ${this.roleLabel(n.role)}` : ''}`)
+            .join('\n')
         : '_(No related horizons)_';
 
       await app.replaceNoteContent(noteUUID, horizonList, {
@@ -1816,6 +4032,44 @@
 
       return { updated: true, count: children.length };
     }, //end updateChildNotesSection
+
+    // ===============================================================================================
+    // Writes a relationship map of the note's neighborhood (maxHops out) into its "Relationship
+    // Map" section as a Mermaid or Graphviz DOT block. Unlike the Related sections, the section is
+    // added at the end of the note if it doesn't exist yet, since the map is only ever requested
+    // explicitly.
+    // Called from: noteOption "Relationship Map"
+    // ===============================================================================================
+    updateRelationshipMapSection: async function (
+      app,
+      noteUUID,
+      { maxHops = 2, format = 'mermaid' } = {},
+    ) {
+      const plugin = this;
+      const sectionHeading = 'Relationship Map';
+
+      const graph = await plugin.buildRelationshipGraph(app, noteUUID, maxHops);
+      const md =
+        graph.edges.length > 0
+          ? plugin.buildRelationshipGraphMarkdown(graph, format)
+          : '_(No relationships)_';
+
+      const sections = await app.getNoteSections({ uuid: noteUUID });
+      const targetSection = sections.find(
+        (s) => s.heading && s.heading.text.toLowerCase() === sectionHeading.toLowerCase(),
+      );
+      if (!targetSection) {
+        await app.insertNoteContent({ uuid: noteUUID }, `# ${sectionHeading}\n${md}`, {
+          atEnd: true,
+        });
+      } else {
+        await app.replaceNoteContent(noteUUID, md, {
+          section: { heading: { text: targetSection.heading.text } },
+        });
+      }
+
+      return { updated: true, count: graph.nodes.length };
+    }, // end updateRelationshipMapSection
     //#endregion
 
     //#region Bracketed Section Updater Functions
@@ -1826,6 +4080,43 @@
     //
     // #################################################################################################
     // #################################################################################################
+    // ===============================================================================================
+    // Builds the markdown for a Stalled Projects section from the results of getStalledProjects
+    // Called from: updateBracketedSections ([stalled])
+    // ===============================================================================================
+    formatStalledProjectList: function (noNextAction, stalledParents) {
+      const plugin = this;
+      const lines = [
+        ...noNextAction.map((n) => ({ note: n, suffix: '' })),
+        ...stalledParents.map((n) => ({ note: n, suffix: ' _(all child projects stalled)_' })),
+      ]
+        .sort((a, b) => a.note.name.localeCompare(b.note.name))
+        .map(({ note, suffix }) => {
+          const handle = plugin.normalizeNoteHandle(note);
+          return `- [${handle.name}](${handle.url})${suffix}`;
+        });
+
+      return lines.length ? lines.join('\n') : '- _No stalled projects_';
+    }, // end formatStalledProjectList
+
+    // ===============================================================================================
+    // Builds the markdown for a Blocked Projects section from the results of getBlockedProjects
+    // Called from: updateBracketedSections ([blocked])
+    // ===============================================================================================
+    formatBlockedProjectList: function (blocked) {
+      const plugin = this;
+      const link = (note) => {
+        const handle = plugin.normalizeNoteHandle(note);
+        return `[${handle.name}](${handle.url})`;
+      };
+      const lines = blocked.map(
+        ({ project, blockers }) =>
+          `- ${link(project)} _(blocked by ${blockers.map(link).join(', ')})_`,
+      );
+
+      return lines.length ? lines.join('\n') : '- _No blocked projects_';
+    }, // end formatBlockedProjectList
+
     // ===============================================================================================
     // Updates sections in a list note that use [bracketed] subtags to display dynamic content
     // ===============================================================================================
@@ -1865,6 +4156,9 @@
           case 'list/reference':
             baseTag = `reference/${subtag}`;
             break;
+          case 'list/context':
+            baseTag = `c/${subtag}`;
+            break;
         }
 
         // Fetch all notes matching the baseTag, filtered by domain
@@ -1875,7 +4169,25 @@
         // -------------------------------------------------------------------------------------------
         // 🗂 Special rendering for project list — uses nested hierarchy with grouping options
         // -------------------------------------------------------------------------------------------
-        if (listType === 'list/project') {
+        if (listType === 'list/project' && subtag === 'stalled') {
+          // -------------------------------------------------------------------------------------------
+          // 🛑 [stalled] is a virtual bracket: active projects without a next action
+          // -------------------------------------------------------------------------------------------
+          const { noNextAction, stalledParents } = await plugin.getStalledProjects(
+            app,
+            undefined,
+            domainTags,
+          );
+          matchingNotes = [...noNextAction, ...stalledParents];
+          md = plugin.formatStalledProjectList(noNextAction, stalledParents);
+        } else if (listType === 'list/project' && subtag === 'blocked') {
+          // -------------------------------------------------------------------------------------------
+          // ⛔ [blocked] is a virtual bracket: open projects waiting on another open project
+          // -------------------------------------------------------------------------------------------
+          const blocked = await plugin.getBlockedProjects(app, null, domainTags);
+          matchingNotes = blocked.map((b) => b.project);
+          md = plugin.formatBlockedProjectList(blocked);
+        } else if (listType === 'list/project') {
           const sortCompletedByDate = subtag === 'completed'; // Sort completed by date
 
           // Filter to only project notes
@@ -1895,6 +4207,31 @@
             md = '- _No matching notes_';
           }
 
+          // -------------------------------------------------------------------------------------------
+          // ⏳ [waiting] is a virtual bracket: everything delegated, grouped by person
+          // -------------------------------------------------------------------------------------------
+        } else if (listType === 'list/people' && subtag === 'waiting') {
+          const waiting = await plugin.getWaitingForTasks(app, domainTags);
+          const entries = Array.from(waiting.values()).sort((a, b) =>
+            a.person.name.localeCompare(b.person.name),
+          );
+
+          let footnoteCounter = 1;
+          const groups = entries.map(({ person, items }) => {
+            const handle = plugin.normalizeNoteHandle(person);
+            const { markdown, nextCounter } = plugin.buildWaitingForList(items, {
+              indentLevel: 1,
+              counterStart: footnoteCounter,
+            });
+            footnoteCounter = nextCounter;
+            return `- [${handle.name}](${handle.url})\n${markdown}`;
+          });
+
+          md = groups.length ? groups.join('\n') : '- _Not waiting on anyone_';
+
+          // Count delegated tasks rather than notes
+          matchingNotes = entries.flatMap((e) => e.items);
+
           // -------------------------------------------------------------------------------------------
           // 🧑 Nested people, software, and horizon lists
           // -------------------------------------------------------------------------------------------
@@ -1919,6 +4256,22 @@
             md = '- _No matching notes_';
           }
 
+          // -------------------------------------------------------------------------------------------
+          // ✅ Context lists — tasks in this context from every note, filtered by domain
+          // -------------------------------------------------------------------------------------------
+        } else if (listType === 'list/context') {
+          const contextTasks = await plugin.getContextTasks(app, subtag, domainTags);
+          const sourceNotes = new Map(
+            (await plugin.getFilteredNotes(app, '', domainTags)).map((n) => [n.uuid, n]),
+          );
+
+          md = contextTasks.length
+            ? plugin.buildTaskList(contextTasks, sourceNotes)
+            : '- _No tasks in this context_';
+
+          // Count tasks rather than notes for context lists
+          matchingNotes = contextTasks;
+
           // -------------------------------------------------------------------------------------------
           // 📃 Default flat alphabetical list
           // -------------------------------------------------------------------------------------------
@@ -1941,9 +4294,79 @@
         totalCount += matchingNotes.length;
       }
 
+      if (totalUpdated > 0) plugin.invalidateNoteTasks(note.uuid);
+
       // Return a summary of updates for logging or user feedback
       return { updatedSections: totalUpdated, totalItems: totalCount };
     }, // end updateBracketedSections
+
+    // ===============================================================================================
+    // Updates every list note (bracketed sections or Related sections, depending on list type)
+    // and the Related sections of every active and focus project. Returns counts for reporting.
+    // Called from: appOption "Update All Lists", "Preview Update All Lists"
+    // ===============================================================================================
+    updateAllLists: async function (app) {
+      const plugin = this;
+
+      // 1. Get all list/* notes
+      const listNotes = await plugin.getFilteredNotes(app, 'list');
+
+      let totalNotes = 0;
+      let totalSections = 0;
+      let totalItems = 0;
+
+      // 2. Update each list note using existing logic
+      for (const note of listNotes) {
+        const domainTags = note.tags.filter((t) => t.startsWith('d/'));
+        const listType = note.tags.find((t) => t.startsWith('list/'));
+
+        let summary = { updatedSections: 0, totalItems: 0 };
+
+        switch (listType) {
+          case 'list/project':
+          case 'list/software':
+          case 'list/people':
+          case 'list/reference':
+          case 'list/context':
+            summary = await plugin.updateBracketedSections(app, note, listType, domainTags);
+            break;
+          case 'list/related':
+            summary = await plugin.updateAllRelatedSections(app, note.uuid, domainTags);
+            break;
+        }
+
+        totalNotes++;
+        totalSections += summary.updatedSections;
+        totalItems += summary.totalItems;
+      }
+
+      // 3. Update active project notes
+      const activeProjectNotes = await plugin.getFilteredNotes(app, 'project/active');
+      const focusProjectNotes = await plugin.getFilteredNotes(app, 'project/focus');
+      const allActiveProjects = [...activeProjectNotes, ...focusProjectNotes];
+
+      let projectNotesUpdated = 0;
+      let projectSectionsUpdated = 0;
+      let projectItemsUpdated = 0;
+
+      for (const note of allActiveProjects) {
+        const domainTags = note.tags.filter((t) => t.startsWith('d/'));
+        const summary = await plugin.updateAllRelatedSections(app, note.uuid, domainTags);
+
+        projectNotesUpdated++;
+        projectSectionsUpdated += summary.updatedSections;
+        projectItemsUpdated += summary.totalItems;
+      }
+
+      return {
+        listNotes: totalNotes,
+        listSections: totalSections,
+        listItems: totalItems,
+        projectNotes: projectNotesUpdated,
+        projectSections: projectSectionsUpdated,
+        projectItems: projectItemsUpdated,
+      };
+    }, // end updateAllLists
     //#endregion
 
     //#region Tagging & Classification Functions
@@ -1955,24 +4378,253 @@
     // #################################################################################################
     // #################################################################################################
 
+    // Project status choices offered anywhere a user can change a project's status
+    projectStatusOptions: [
+      { label: 'Focus', value: 'project/focus' },
+      { label: 'Active', value: 'project/active' },
+      { label: 'Tracking', value: 'project/tracking' },
+      { label: 'On hold', value: 'project/on-hold' },
+      { label: 'Future', value: 'project/future' },
+      { label: 'Someday', value: 'project/someday' },
+      { label: 'Completed', value: 'project/completed' },
+      { label: 'Canceled', value: 'project/canceled' },
+    ],
+
+    // GTD contexts always offered by the context picker, in addition to any c/* tags in use
+    defaultContexts: ['anywhere', 'calls', 'computer', 'errands', 'home', 'office'],
+
+    // ===============================================================================================
+    // Returns the domains to offer as { label, tag }: the configured domains first (with their
+    // labels), then any other d/* domains discovered by updateSystemCategories, by name.
+    // Called from: setNoteTags
+    // ===============================================================================================
+    getDomainOptions: function (categoryData) {
+      const options = [...this.getSettings().domains];
+
+      const discovered = [...(categoryData?.domain || [])].sort();
+      for (const name of discovered) {
+        const tag = `d/${name}`;
+        if (!options.some((d) => d.tag === tag)) options.push({ label: name, tag });
+      }
+
+      return options;
+    }, // end getDomainOptions
+
+    // ===============================================================================================
+    // Swaps a project note's status tag for a new one and updates the cache. Completed and canceled
+    // projects get a date-stamped tag (project/completed/YYYYMM, project/canceled/YYYYMM) so they
+    // can be sorted by the date they were closed.
+    // Returns the tag that was added.
+    // Called from: setNoteTags, closeProject, weeklyReview
+    // ===============================================================================================
+    setProjectStatus: async function (note, statusValue) {
+      const plugin = this;
+
+      const oldStatus = note.tags.find((t) => t.startsWith('project/'));
+      if (oldStatus) {
+        await note.removeTag(oldStatus);
+        plugin.removeCacheTag(note.uuid, oldStatus);
+      }
+
+      let newTag = statusValue;
+      if (statusValue === 'project/completed' || statusValue === 'project/canceled') {
+        const now = new Date();
+        const datestamp = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+        newTag = `${statusValue}/${datestamp}`;
+      }
+
+      await note.addTag(newTag);
+      plugin.updateCacheWithTag(note.uuid, newTag);
+      return newTag;
+    }, // end setProjectStatus
+
+    // ===============================================================================================
+    // Moves tasks from one note to another. The plugin API can't move a task between notes, so
+    // each task is copied (keeping its deadline and start date) and the original is dismissed.
+    // Called from: closeProject, mergeNotes
+    // ===============================================================================================
+    moveTasks: async function (app, tasks, sourceUUID, targetUUID) {
+      const now = Math.floor(Date.now() / 1000);
+      for (const task of tasks) {
+        const copy = { content: task.content };
+        if (task.deadline) copy.deadline = task.deadline;
+        if (task.startAt) copy.startAt = task.startAt;
+        await app.insertTask({ uuid: targetUUID }, copy);
+        await app.updateTask(task.uuid, { dismissedAt: now });
+      }
+      this.invalidateNoteTasks(sourceUUID);
+      this.invalidateNoteTasks(targetUUID);
+    }, // end moveTasks
+
+    // ===============================================================================================
+    // Completes or cancels a project, walking the user through what it leaves behind:
+    //   1. Open tasks: mark them complete, move them to another note (Inbox by default), or leave them
+    //   2. Child projects still open: close them too, promote them to top level, move them under
+    //      another project, or leave them
+    //   3. Sets the date-stamped status tag
+    //   4. Logs a completion entry under each parent project in today's daily jot, then refreshes
+    //      the parent's Recent Updates section so the entry shows up there
+    // Returns false if the user cancelled either question, leaving the project unchanged.
+    // Called from: setNoteTags, closeProject (for child projects), weeklyReview
+    // ===============================================================================================
+    closeProject: async function (app, note, statusValue) {
+      const plugin = this;
+      const settings = plugin.getSettings();
+      const closedLabel = statusValue === 'project/canceled' ? 'Canceled' : 'Completed';
+      const isClosed = (n) =>
+        n.tags.some((t) => t.startsWith('project/completed') || t.startsWith('project/canceled'));
+
+      // Both questions are asked before anything changes, so cancelling either leaves the
+      // project as it was
+      // === Step 1: Open tasks ===
+      const openTasks = await app.getNoteTasks({ uuid: note.uuid });
+      let taskAnswer = null;
+      if (openTasks.length > 0) {
+        taskAnswer = await app.prompt(`"${note.name}" has ${openTasks.length} open tasks`, {
+          inputs: [
+            {
+              label: 'What should happen to them?',
+              type: 'radio',
+              options: [
+                { label: 'Mark them complete', value: 'complete' },
+                { label: 'Move them to another note', value: 'move' },
+                { label: 'Leave them in this note', value: 'leave' },
+              ],
+              value: 'complete',
+            },
+            { label: `Move them to (defaults to ${settings.inboxNoteName})`, type: 'note' },
+          ],
+        });
+        if (!taskAnswer) return false;
+      }
+
+      // === Step 2: Child projects that are still open ===
+      const openChildren = (await plugin.getChildNotes(app, note.uuid)).filter((c) => !isClosed(c));
+      let childAnswer = null;
+      if (openChildren.length > 0) {
+        const title = `"${note.name}" has ${openChildren.length} open child projects`;
+        childAnswer = await app.prompt(title, {
+          inputs: [
+            ...openChildren.map((child) => ({
+              label: child.name,
+              type: 'select',
+              options: [
+                { label: `${closedLabel} it too`, value: 'close' },
+                { label: 'Promote it to a top-level project', value: 'promote' },
+                { label: 'Move it under another project', value: 'reparent' },
+                { label: 'Leave it under this project', value: 'leave' },
+              ],
+              value: 'close',
+            })),
+            { label: 'New parent project (for "Move it under another project")', type: 'note' },
+          ],
+        });
+        if (!childAnswer) return false;
+      }
+
+      // Apply the task answer
+      if (taskAnswer) {
+        const [taskAction, moveTarget] = taskAnswer;
+        const now = Math.floor(Date.now() / 1000);
+
+        if (taskAction === 'complete') {
+          for (const task of openTasks) {
+            await app.updateTask(task.uuid, { completedAt: now });
+          }
+          plugin.invalidateNoteTasks(note.uuid);
+        } else if (taskAction === 'move') {
+          const target = moveTarget?.uuid
+            ? moveTarget
+            : await app.findNote({ name: settings.inboxNoteName });
+          if (!target) {
+            await app.alert(`⚠️ ${settings.inboxNoteName} note not found; tasks were left in place.`);
+          } else {
+            await plugin.moveTasks(app, openTasks, note.uuid, target.uuid);
+          }
+        }
+      }
+
+      // Apply the child project answers
+      if (childAnswer) {
+        const newParent = childAnswer[openChildren.length];
+        for (let i = 0; i < openChildren.length; i++) {
+          const child = await app.notes.find(openChildren[i].uuid);
+          if (!child) continue;
+
+          switch (childAnswer[i]) {
+            case 'close':
+              await plugin.closeProject(app, child, statusValue);
+              break;
+            case 'promote':
+              await plugin.removeRelationship(app, child, { type: 'parent', uuid: note.uuid });
+              break;
+            case 'reparent':
+              if (!newParent?.uuid) {
+                await app.alert(`⚠️ No new parent project chosen; "${child.name}" was left in place.`);
+                break;
+              }
+              await plugin.removeRelationship(app, child, { type: 'parent', uuid: note.uuid });
+              await plugin.setParentChildRelationship(app, child.uuid, newParent.uuid);
+              break;
+          }
+        }
+      }
+
+      // === Step 3: Status ===
+      await plugin.setProjectStatus(note, statusValue);
+
+      // === Step 4: Completion entry for each parent project ===
+      const parents = await plugin.getParentNotes(app, note.uuid);
+      if (parents.length > 0) {
+        const jot = await plugin._getOrCreateDailyJot(app, new Date());
+        if (jot) {
+          const noteLink = plugin.normalizeNoteHandle(note);
+          const icon = statusValue === 'project/canceled' ? '🚫' : '✅';
+          const entry = parents
+            .map(
+              (parent) =>
+                `- [${parent.name}](${parent.url})\n` +
+                `    - ${icon} ${closedLabel} [${noteLink.name}](${noteLink.url})`,
+            )
+            .join('\n');
+          await app.insertNoteContent({ uuid: jot.uuid }, entry, { atEnd: true });
+
+          for (const parent of parents) {
+            await plugin.updateRecentUpdatesSection(app, parent.uuid);
+          }
+        }
+      }
+
+      return true;
+    }, // end closeProject
+
     // ===============================================================
     // setNoteTags: function to allow user to manage tags via prompt
     // ===============================================================
     setNoteTags: async function (app, noteUUID) {
       const plugin = this;
 
-      // Helper: Load category data from the "System Categories" note
+      const settings = plugin.getSettings();
+
+      // Helper: Load category data from the "System Categories" note. A brand-new notebook
+      // doesn't have one yet, so it's built quietly first; only a failed build is reported.
       async function getCategoryDataFromSystemNote(app) {
-        const note = await app.findNote({ name: 'System Categories' });
+        let note = await app.findNote({ name: settings.categoriesNoteName });
         if (!note) {
-          await app.alert("⚠️ Could not find 'System Categories' note.");
+          await plugin.updateSystemCategories(app, { createIfMissing: true });
+          note = await app.findNote({ name: settings.categoriesNoteName });
+        }
+        if (!note) {
+          await app.alert(`⚠️ Could not find '${settings.categoriesNoteName}' note.`);
           return null;
         }
 
         const content = await app.getNoteContent(note);
         const match = content.match(/```json\n([\s\S]*?)```/);
         if (!match) {
-          await app.alert("⚠️ Could not find a valid ```json block in 'System Categories'.");
+          await app.alert(
+            `⚠️ Could not find a valid \`\`\`json block in '${settings.categoriesNoteName}'.`,
+          );
           return null;
         }
 
@@ -1995,9 +4647,14 @@
         const existsInCache = plugin._noteCache.some(n => n.uuid === noteUUID);
         if (!existsInCache) {
           plugin._noteCache.push(note);
+          plugin.invalidateNoteTasks(noteUUID);
         }
       }
 
+      // Category data also holds the domains discovered from d/* tags
+      const categoryData = await getCategoryDataFromSystemNote(app);
+      const domainOptions = plugin.getDomainOptions(categoryData);
+
       // === Step 0: Bootstrap new notes with no tags ===
       if (note.tags.length === 0) {
         const setupResult = await app.prompt(`Set up new note: "${note.name}"`, {
@@ -2007,8 +4664,7 @@
               type: 'radio',
               options: [
                 { label: 'None', value: '' },
-                { label: 'Home', value: 'd/home' },
-                { label: 'Work', value: 'd/work' },
+                ...domainOptions.map((d) => ({ label: d.label, value: d.tag })),
               ],
               value: '',
             },
@@ -2034,30 +4690,25 @@
           plugin.updateCacheWithTag(note.uuid, domainTag);
         }
 
-        let typeTag = '',
-          templateName = '';
+        let typeTag = '';
         switch (noteType) {
           case 'project':
             typeTag = 'project/active';
-            templateName = 'Project Heading Template';
             break;
           case 'people':
             typeTag = 'reference/people/uncategorized';
-            templateName = 'People Heading Template';
             break;
           case 'software':
             typeTag = 'reference/software/uncategorized';
-            templateName = 'Software Heading Template';
             break;
           case 'horizon':
             typeTag = 'reference/horizon/uncategorized';
-            templateName = 'Horizon Heading Template';
             break;
           case 'reference':
             typeTag = 'reference/uncategorized';
-            templateName = 'Reference Heading Template';
             break;
         }
+        const templateName = settings.headingTemplates[noteType] || '';
 
         if (typeTag) {
           await note.addTag(typeTag);
@@ -2071,6 +4722,7 @@
           } else {
             const content = await app.getNoteContent(templateNote);
             await app.insertNoteContent({ uuid: note.uuid }, content, { atEnd: true });
+            plugin.invalidateNoteTasks(note.uuid);
           }
         }
       }
@@ -2084,26 +4736,32 @@
       const isHorizonNote = note.tags.some((t) => t.startsWith('reference/horizon/'));
 
       const currentRelations = await plugin.getNoteRelationships(app, note);
-      const categoryData = await getCategoryDataFromSystemNote(app);
 
       const inputs = [];
 
+      // === Domain re-assignment ===
+      const currentDomains = note.tags.filter((t) => t.startsWith('d/'));
+      const currentDomainLabel = currentDomains.length
+        ? currentDomains
+            .map((t) => domainOptions.find((d) => d.tag === t)?.label || t.slice(2))
+            .join(', ')
+        : 'none';
+      inputs.push({
+        label: `Domain (currently ${currentDomainLabel})`,
+        type: 'select',
+        options: [
+          { label: '', value: '' },
+          { label: 'None', value: 'none' },
+          ...domainOptions.map((d) => ({ label: d.label, value: d.tag })),
+        ],
+      });
+
       // === Add project-specific inputs ===
       if (isProjectNote) {
         inputs.push({
           label: 'Project Status',
           type: 'select',
-          options: [
-            { label: '', value: '' },
-            { label: 'Focus', value: 'project/focus' },
-            { label: 'Active', value: 'project/active' },
-            { label: 'Tracking', value: 'project/tracking' },
-            { label: 'On hold', value: 'project/on-hold' },
-            { label: 'Future', value: 'project/future' },
-            { label: 'Someday', value: 'project/someday' },
-            { label: 'Completed', value: 'project/completed' },
-            { label: 'Canceled', value: 'project/canceled' },
-          ],
+          options: [{ label: '', value: '' }, ...plugin.projectStatusOptions],
         });
         inputs.push({ label: 'Parent Note', type: 'note' });
       }
@@ -2178,8 +4836,44 @@
         }
       }
 
+      // === Add context options ===
+      const currentContexts = note.tags.filter((t) => t.startsWith('c/'));
+      const availableContexts = Array.from(
+        new Set([...plugin.defaultContexts, ...(categoryData?.context || [])]),
+      )
+        .filter((c) => !currentContexts.includes(`c/${c}`))
+        .sort();
+
+      inputs.push({
+        label: 'Add Context',
+        type: 'select',
+        options: [
+          { label: '', value: '' },
+          ...availableContexts.map((c) => ({ label: `@${c}`, value: `c/${c}` })),
+        ],
+      });
+
+      if (currentContexts.length > 0) {
+        inputs.push({
+          label: 'Remove Context',
+          type: 'select',
+          options: [
+            { label: '', value: '' },
+            ...currentContexts.map((t) => ({ label: `@${t.slice(2)}`, value: t })),
+          ],
+        });
+      }
+
       // === Add relationship options ===
       inputs.push({ label: 'Add Relationship', type: 'note' });
+      inputs.push({
+        label: 'Relationship Role',
+        type: 'select',
+        options: [
+          { label: '', value: '' },
+          ...plugin.relationshipRoles.map(({ label, value }) => ({ label, value })),
+        ],
+      });
 
       if (currentRelations.length > 0) {
         inputs.push({
@@ -2207,6 +4901,7 @@
       let idx = 0;
       const getNext = () => result[idx++];
 
+      const domainValue = getNext();
       const projectStatusValue = isProjectNote ? getNext() : null;
       const parentProjectValue = isProjectNote ? getNext() : null;
       const parentReferenceValue =
@@ -2235,28 +4930,35 @@
           ? getNext()
           : null;
 
+      const addContextValue = getNext();
+      const removeContextValue = currentContexts.length > 0 ? getNext() : null;
+
       const addRelationshipValue = getNext();
+      const relationshipRoleValue = getNext();
       const removeRelationshipValue = currentRelations.length > 0 ? getNext() : null;
 
       // === Apply changes ===
 
-      // Project status
-      if (isProjectNote && projectStatusValue) {
-        const oldStatus = note.tags.find((t) => t.startsWith('project/'));
-        if (oldStatus) {
-          await note.removeTag(oldStatus);
-          this.removeCacheTag(noteUUID, oldStatus);
+      // Domain: replace any existing domain tags with the chosen one ('none' clears them)
+      const domainChanged =
+        domainValue && !(currentDomains.length === 1 && currentDomains[0] === domainValue);
+      if (domainChanged) {
+        for (const oldDomain of currentDomains) {
+          await note.removeTag(oldDomain);
+          plugin.removeCacheTag(noteUUID, oldDomain);
         }
+        if (domainValue !== 'none') {
+          await note.addTag(domainValue);
+          plugin.updateCacheWithTag(noteUUID, domainValue);
+        }
+      }
 
-        if (projectStatusValue === 'project/completed') {
-          const now = new Date();
-          const datestamp = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
-          const newTag = `project/completed/${datestamp}`;
-          await note.addTag(newTag);
-          plugin.updateCacheWithTag(noteUUID, newTag);
+      // Project status (completing or canceling runs the close-out workflow)
+      if (isProjectNote && projectStatusValue) {
+        if (projectStatusValue === 'project/completed' || projectStatusValue === 'project/canceled') {
+          await plugin.closeProject(app, note, projectStatusValue);
         } else {
-          await note.addTag(projectStatusValue);
-          plugin.updateCacheWithTag(noteUUID, projectStatusValue);
+          await plugin.setProjectStatus(note, projectStatusValue);
         }
       }
 
@@ -2320,9 +5022,21 @@
         plugin.updateCacheWithTag(noteUUID, referenceCategoryValue);
       }
 
+      // Contexts
+      if (addContextValue) {
+        await note.addTag(addContextValue);
+        plugin.updateCacheWithTag(noteUUID, addContextValue);
+      }
+
+      if (removeContextValue) {
+        await note.removeTag(removeContextValue);
+        plugin.removeCacheTag(noteUUID, removeContextValue);
+      }
+
       // Relationships
       if (addRelationshipValue?.uuid) {
-        await plugin.addRelationshipByType(app, note, addRelationshipValue);
+        const role = relationshipRoleValue || null;
+        await plugin.addRelationshipByType(app, note, addRelationshipValue, role);
       }
 
       if (removeRelationshipValue) {
@@ -2333,7 +5047,9 @@
       }
 
       // === Refresh related note sections ===
-      const domainTags = note.tags.filter(t => t.startsWith("d/"));
+      // note.tags is stale if the domain changed, so re-read the domain from the cache
+      const cachedNote = plugin._noteCache?.find((n) => n.uuid === noteUUID) || note;
+      const domainTags = cachedNote.tags.filter(t => t.startsWith("d/"));
       await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
 
       // === Loop if requested ===
@@ -2345,28 +5061,81 @@
     }, // end setNoteTags
 
     // ===============================================================================================
-    // Removes all tags from the specified note
+    // Clears tags from the specified note after asking how far to go:
+    //   - classification: remove type, status, domain and context tags but keep note-id/* and r/*
+    //   - detach: remove every tag, detaching each relationship on both sides first
+    //   - all: remove every tag and leave other notes' relationship tags pointing at this one
+    // The prompt warns how many other notes are linked to this one.
     // ===============================================================================================
     clearAllTags: async function (app, noteUUID) {
-      const note = await app.notes.find(noteUUID);
+      const plugin = this;
+      let note = await app.notes.find(noteUUID);
       if (!note) {
         await app.alert('❌ Could not find the note.');
         return;
       }
+      if (note.tags.length === 0) {
+        await app.alert(`⚠️ "${note.name}" has no tags to clear.`);
+        return;
+      }
+
+      // Only look up relationships if the note has an id; otherwise nothing can point at it and
+      // getNoteRelationships would create one
+      const hasNoteId = note.tags.some((t) => t.startsWith('note-id/'));
+      const relations = hasNoteId ? await plugin.getNoteRelationships(app, note) : [];
+      const linkedCount = new Set(relations.map((r) => r.uuid)).size;
+
+      const warning =
+        linkedCount > 0
+          ? `⚠️ ${linkedCount} other note${linkedCount === 1 ? ' is' : 's are'} linked to this ` +
+            'note by relationship tags.'
+          : 'No other notes are linked to this note.';
+      const mode = await app.prompt(`Clear tags on "${note.name}"`, {
+        inputs: [
+          {
+            label: warning,
+            type: 'radio',
+            options: [
+              {
+                label: 'Clear classification tags only (keep note-id and relationships)',
+                value: 'classification',
+              },
+              { label: 'Clear all tags and detach relationships on both sides', value: 'detach' },
+              { label: 'Clear all tags (linked notes keep pointing at the old note-id)', value: 'all' },
+            ],
+          },
+        ],
+      });
+      if (!mode) return;
+
+      if (mode === 'detach' && relations.length > 0) {
+        for (const relation of relations) {
+          await plugin.removeRelationship(app, note, relation);
+        }
+        // Reload so the tag list below reflects the detached relationships
+        note = await app.notes.find(noteUUID);
+      }
+
+      const tagsToRemove =
+        mode === 'classification'
+          ? note.tags.filter((t) => !t.startsWith('note-id/') && !t.startsWith('r/'))
+          : [...note.tags];
 
-      for (const tag of note.tags) {
+      for (const tag of tagsToRemove) {
         await note.removeTag(tag);
-        this.removeCacheTag(noteUUID, tag);
+        plugin.removeCacheTag(noteUUID, tag);
       }
 
       // await app.alert(`✅ Cleared ${note.tags.length} tags from "${note.name}"`);
     }, // end clearAllTags
 
     // ===============================================================================================
-    // Runs the tagging cleanup process and updates the "Tagging Cleanup" section in the Inbox note
+    // Runs the tagging cleanup process and updates the "Tagging Cleanup" section in the Inbox note.
+    // Returns the cleanup groups ({ reason, notes }) so callers like weeklyReview can summarize them.
     // ===============================================================================================
     taggingCleanup: async function (app) {
       const plugin = this;
+      const settings = plugin.getSettings();
       const cleanupResults = [];
 
       // === Pre-check: Fix accidentally created notes without titles ===
@@ -2379,7 +5148,7 @@
       }
 
       // Update calendar before refreshing note cache (since it might create new jots)
-      const inbox = await app.findNote({ name: 'Inbox' });
+      const inbox = await app.findNote({ name: settings.inboxNoteName });
       if (inbox) {
         await plugin.updateCalendarSection(app, inbox.uuid);
       }
@@ -2398,7 +5167,14 @@
       };
 
       // A: Missing critical tag
-      const criticalPrefixes = ['daily-jots', 'list/', 'reference/', 'system', 'project/'];
+      const criticalPrefixes = [
+        'daily-jots',
+        'weekly-reviews',
+        'list/',
+        'reference/',
+        'system',
+        'project/',
+      ];
       const missingCritical = allNotes.filter(
         (n) => !n.tags.some((tag) => criticalPrefixes.some((prefix) => tag.startsWith(prefix))),
       );
@@ -2523,6 +5299,50 @@
         });
       }
 
+      // I: Active projects with no next action (no open tasks and no active child projects)
+      // J: Parent projects whose child projects are all stalled
+      const { noNextAction, stalledParents } = await plugin.getStalledProjects(app);
+      if (noNextAction.length > 0) {
+        cleanupResults.push({
+          reason: 'Active projects with no next action',
+          notes: noNextAction,
+        });
+      }
+      if (stalledParents.length > 0) {
+        cleanupResults.push({
+          reason: 'Parent projects whose child projects are all stalled',
+          notes: stalledParents,
+        });
+      }
+
+      // K: Relationship integrity defects (fixable with the "Repair Relationships" app option)
+      const integrityGroups = await plugin.checkRelationshipIntegrity(app);
+      for (const group of integrityGroups) {
+        const notes = new Map(group.issues.map((issue) => [issue.note.uuid, issue.note]));
+        cleanupResults.push({ reason: group.reason, notes: [...notes.values()] });
+      }
+
+      // L: Focus/active projects that still depend on an open project
+      const blockedActive = await plugin.getBlockedProjects(app, [
+        'project/focus',
+        'project/active',
+      ]);
+      if (blockedActive.length > 0) {
+        cleanupResults.push({
+          reason: 'Active projects still blocked by an open project',
+          notes: blockedActive.map((b) => b.project),
+        });
+      }
+
+      // M: Parent/child cycles (a note listed, some levels down, under itself)
+      const cycles = await plugin.findParentCycles(app);
+      if (cycles.length > 0) {
+        cleanupResults.push({
+          reason: 'Parent/child cycles',
+          notes: [...new Map(cycles.flat().map((n) => [n.uuid, n])).values()],
+        });
+      }
+
       // Build Markdown for the Tagging Cleanup section
       let md = '';
       if (cleanupResults.length === 0) {
@@ -2536,25 +5356,27 @@
 
       // Update the Tagging Cleanup section in the Inbox note
       if (!inbox) {
-        await app.alert('❌ Inbox note not found.');
-        return;
+        await app.alert(`❌ ${settings.inboxNoteName} note not found.`);
+        return cleanupResults;
       }
       await app.replaceNoteContent(inbox.uuid, md, {
-        section: { heading: { text: 'Tagging Cleanup' } },
+        section: { heading: { text: settings.cleanupSectionHeading } },
       });
 
       // Update the System Categories note, which is used by setNoteTags to build category lists
       await plugin.updateSystemCategories(app);
 
       // await app.alert("✅ Tagging Cleanup section updated in Inbox.");
+      return cleanupResults;
     }, // end taggingCleanup
 
     // ===============================================================================================
     // updateSystemCategories iterates through reference categories and builds a list to
     // populate the System Categories note that will be used by the setNoteTags function to
-    // set categories on people, software, and reference notes
+    // set categories on people, software, and reference notes. With createIfMissing, a missing
+    // System Categories note is created instead of reported.
     // ===============================================================================================
-    updateSystemCategories: async function (app) {
+    updateSystemCategories: async function (app, { createIfMissing = false } = {}) {
       const plugin = this;
 
       /**
@@ -2596,6 +5418,17 @@
       const softwareCats = await getReferenceCategories('reference/software');
       const horizonCats = await getReferenceCategories('reference/horizon');
       const refCats = await getReferenceCategories('reference', ['people', 'software', 'horizon']);
+      const contextCats = await getReferenceCategories('c');
+
+      // Domains are flat d/<name> tags, so collect full tag names rather than category paths
+      const domainNotes = await plugin._getCachedNotes(app, 'd/');
+      const domainCats = Array.from(
+        new Set(
+          domainNotes.flatMap((n) =>
+            n.tags.filter((t) => t.startsWith('d/')).map((t) => t.slice(2)),
+          ),
+        ),
+      ).sort();
 
       // Build final JSON structure
       const categoryData = {
@@ -2603,13 +5436,21 @@
         software: softwareCats,
         horizon: horizonCats,
         reference: refCats,
+        context: contextCats,
+        domain: domainCats,
       };
 
       // === Step 2: Locate the "System: Categories" note ===
-      const categoryNote = await app.findNote({ name: 'System Categories' });
+      const categoriesNoteName = plugin.getSettings().categoriesNoteName;
+      let categoryNote = await app.findNote({ name: categoriesNoteName });
+      if (!categoryNote && createIfMissing) {
+        // Create the note (returns temporary local UUID), then refetch for the persisted uuid
+        await app.createNote(categoriesNoteName, ['system']);
+        categoryNote = await app.findNote({ name: categoriesNoteName });
+      }
 
       if (!categoryNote) {
-        await app.alert("❌ Could not find 'System: Categories' note.");
+        await app.alert(`❌ Could not find '${categoriesNoteName}' note.`);
         return;
       }
 
@@ -2636,88 +5477,1037 @@
     }, // end updateSystemCategories
     //#endregion
 
-    //#region App Actions
+    //#region Preview Functions
     // #################################################################################################
     // #################################################################################################
-    //                                          App Actions
+    //
+    //                                     Preview Functions
+    //
     // #################################################################################################
     // #################################################################################################
 
-    appOption: {
-      // =============================================================================================
-      // Update All Lists
-      // This function is the orchestrator for updating all list notes in whatever ways are
-      // appropriate
-      // =============================================================================================
+    // Name of the note that preview reports are written to (tagged system/exclude, like the
+    // System Cache note)
+    _previewNoteName: 'GTD Preview',
 
-      'Update All Lists': async function (app) {
-        const plugin = this;
+    // ===============================================================================================
+    // Wraps app so that every write is recorded in `changes` instead of being applied. Reads pass
+    // straight through, so an operation run against the wrapper sees the notebook as it is now.
+    // Alerts are collected in `messages` rather than shown. Writes to the System Cache note still
+    // go through, since the task cache is rebuilt from real (unchanged) data either way.
+    // Called from: runWithPreview
+    // ===============================================================================================
+    createPreviewApp: function (app) {
+      const plugin = this;
+      const changes = {
+        sections: [],
+        tags: [],
+        tasks: [],
+        created: [],
+        renamed: [],
+        messages: [],
+      };
+      const createdNotes = new Map(); // name -> placeholder handle for notes created during preview
+      const uuidOf = (noteOrUUID) =>
+        typeof noteOrUUID === 'string' ? noteOrUUID : noteOrUUID?.uuid;
+
+      const findNote = async ({ uuid, name }) => {
+        if (name && createdNotes.has(name)) return createdNotes.get(name);
+        if (uuid) {
+          const placeholder = [...createdNotes.values()].find((n) => n.uuid === uuid);
+          if (placeholder) return placeholder;
+        }
+        return app.findNote({ uuid, name });
+      };
 
-        // 1. Get all list/* notes
-        const listNotes = await plugin.getFilteredNotes(app, 'list');
+      const isCacheNote = async (noteUUID) => {
+        const note = await findNote({ uuid: noteUUID });
+        return note?.name === plugin._cacheSnapshotNoteName;
+      };
 
-        let totalNotes = 0;
-        let totalSections = 0;
-        let totalItems = 0;
+      const recordTag = (noteUUID, tag, action) => {
+        changes.tags.push({ noteUUID, tag, action });
+        return true;
+      };
 
-        // 2. Update each list note using existing logic
-        for (const note of listNotes) {
-          const domainTags = note.tags.filter((t) => t.startsWith('d/'));
-          const listType = note.tags.find((t) => t.startsWith('list/'));
+      // Note objects from notes.find get their tag writes recorded too
+      const wrapNote = (note) =>
+        new Proxy(note, {
+          get(target, prop) {
+            if (prop === 'addTag') {
+              return async (tag) =>
+                target.tags?.includes(tag) || recordTag(target.uuid, tag, 'add');
+            }
+            if (prop === 'removeTag') {
+              return async (tag) =>
+                !target.tags?.includes(tag) || recordTag(target.uuid, tag, 'remove');
+            }
+            const value = target[prop];
+            return typeof value === 'function' ? value.bind(target) : value;
+          },
+        });
 
-          let summary = { updatedSections: 0, totalItems: 0 };
+      const overrides = {
+        findNote,
 
-          switch (listType) {
-            case 'list/project':
-            case 'list/software':
-            case 'list/people':
-            case 'list/reference':
-              summary = await plugin.updateBracketedSections(app, note, listType, domainTags);
-              break;
-            case 'list/related':
-              summary = await plugin.updateAllRelatedSections(app, note.uuid, domainTags);
-              break;
+        alert: async (message) => {
+          changes.messages.push(message);
+          return null;
+        },
+
+        navigate: async () => true,
+
+        setSetting: async (name, value) => {
+          changes.messages.push(`Setting "${name}" would be set to "${value}"`);
+        },
+
+        notes: new Proxy(app.notes, {
+          get(target, prop) {
+            if (prop === 'find') {
+              return async (noteOrUUID) => {
+                const placeholder = await findNote({ uuid: uuidOf(noteOrUUID) });
+                if (placeholder && createdNotes.has(placeholder.name)) return wrapNote(placeholder);
+                const note = await target.find(noteOrUUID);
+                return note ? wrapNote(note) : null;
+              };
+            }
+            const value = target[prop];
+            return typeof value === 'function' ? value.bind(target) : value;
+          },
+        }),
+
+        createNote: async (name, tags = []) => {
+          if (name === plugin._cacheSnapshotNoteName) return app.createNote(name, tags);
+          const placeholder = { uuid: `preview-${createdNotes.size + 1}`, name, tags: [...tags] };
+          createdNotes.set(name, placeholder);
+          changes.created.push({ name, tags: [...tags] });
+          return placeholder.uuid;
+        },
+
+        setNoteName: async (noteOrUUID, name) => {
+          changes.renamed.push({ noteUUID: uuidOf(noteOrUUID), name });
+          return true;
+        },
+
+        addNoteTag: async (noteOrUUID, tag) => recordTag(uuidOf(noteOrUUID), tag, 'add'),
+
+        removeNoteTag: async (noteOrUUID, tag) => recordTag(uuidOf(noteOrUUID), tag, 'remove'),
+
+        replaceNoteContent: async (noteOrUUID, content, options = {}) => {
+          const noteUUID = uuidOf(noteOrUUID);
+          if (await isCacheNote(noteUUID)) {
+            return app.replaceNoteContent(noteOrUUID, content, options);
           }
 
-          totalNotes++;
-          totalSections += summary.updatedSections;
-          totalItems += summary.totalItems;
+          const heading = options.section?.heading?.text || null;
+          const current = noteUUID.startsWith('preview-')
+            ? ''
+            : await app.getNoteContent({ uuid: noteUUID });
+          const before = heading ? plugin.getSectionMarkdown(current, heading) : current;
+
+          // Sections that wouldn't change aren't worth showing
+          if ((before || '').trim() === content.trim()) return true;
+          changes.sections.push({ noteUUID, heading, before: before || '', after: content });
+          return true;
+        },
+
+        insertNoteContent: async (noteOrUUID, content) => {
+          const noteUUID = uuidOf(noteOrUUID);
+          changes.sections.push({ noteUUID, heading: null, before: '', after: content });
+          return true;
+        },
+
+        updateTask: async (taskUUID, properties) => {
+          const task = await app.getTask(taskUUID);
+          if (!task) return false;
+          changes.tasks.push({
+            noteUUID: task.noteUUID,
+            action: 'update',
+            content: task.content,
+            properties: { ...properties },
+          });
+          return true;
+        },
+
+        insertTask: async (noteOrUUID, task) => {
+          const noteUUID = uuidOf(noteOrUUID);
+          changes.tasks.push({ noteUUID, action: 'insert', content: task.content, properties: {} });
+          return `preview-task-${changes.tasks.length}`;
+        },
+      };
+
+      const previewApp = new Proxy(app, {
+        get(target, prop) {
+          if (prop in overrides) return overrides[prop];
+          const value = target[prop];
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+      });
+
+      return { previewApp, changes };
+    }, // end createPreviewApp
+
+    // ===============================================================================================
+    // Runs an operation against a preview app, writes a "GTD Preview" note showing every section
+    // diff, tag change, task change, and created/renamed note it would make, then asks whether to
+    // apply it.
+    // `operation` receives the app to run against and is called a second time with the real app
+    // if the user chooses to apply. Returns the applied operation's result, or null.
+    // Called from: appOption "Preview Update All Lists", noteOption "Preview Tagging Cleanup"
+    // ===============================================================================================
+    runWithPreview: async function (app, title, operation) {
+      const plugin = this;
+      const { previewApp, changes } = plugin.createPreviewApp(app);
+
+      await operation(previewApp);
+
+      // The preview run patched tags into the shared note cache; drop it so nothing acts on them
+      plugin.invalidateNoteCache();
+
+      const changeCount =
+        changes.sections.length +
+        changes.tags.length +
+        changes.tasks.length +
+        changes.created.length +
+        changes.renamed.length;
+      if (changeCount === 0) {
+        await app.alert(`✅ ${title} would not change anything.`);
+        return null;
+      }
+
+      // Group everything by note so the report reads one note at a time
+      const names = new Map(changes.created.map((c, i) => [`preview-${i + 1}`, c.name]));
+      const byNote = new Map();
+      const entryFor = async (noteUUID) => {
+        if (!byNote.has(noteUUID)) {
+          if (!names.has(noteUUID)) {
+            const note = await app.findNote({ uuid: noteUUID });
+            names.set(noteUUID, note?.name || 'Untitled Note');
+          }
+          byNote.set(noteUUID, {
+            sections: [],
+            added: [],
+            removed: [],
+            tasks: [],
+            renamedTo: null,
+          });
+        }
+        return byNote.get(noteUUID);
+      };
+
+      for (const change of changes.sections) {
+        (await entryFor(change.noteUUID)).sections.push(change);
+      }
+      for (const change of changes.tags) {
+        const entry = await entryFor(change.noteUUID);
+        (change.action === 'add' ? entry.added : entry.removed).push(change.tag);
+      }
+      for (const change of changes.tasks) {
+        (await entryFor(change.noteUUID)).tasks.push(change);
+      }
+      for (const change of changes.renamed) {
+        (await entryFor(change.noteUUID)).renamedTo = change.name;
+      }
+
+      const describeTask = (change) => {
+        const content = (change.content || '').trim();
+        if (change.action === 'insert') return `Add task: ${content}`;
+        if (change.properties.completedAt) return `Complete task: ${content}`;
+        if (change.properties.dismissedAt) return `Dismiss task: ${content}`;
+        return `Update task (${Object.keys(change.properties).join(', ')}): ${content}`;
+      };
+
+      const tagChangeCount = changes.tags.length;
+      let md =
+        `_Preview of "${title}" generated ${new Date().toLocaleString()}. ` +
+        'Nothing has been changed yet._\n\n';
+      md += '# Summary\n';
+      md += `- Notes affected: ${byNote.size}\n`;
+      md += `- Sections that would change: ${changes.sections.length}\n`;
+      md += `- Tag changes: ${tagChangeCount}\n`;
+      md += `- Task changes: ${changes.tasks.length}\n`;
+      if (changes.created.length > 0) {
+        md += `- Notes that would be created: ${changes.created.map((c) => c.name).join(', ')}\n`;
+      }
+
+      for (const [noteUUID, entry] of byNote) {
+        const name = names.get(noteUUID);
+        md += noteUUID.startsWith('preview-')
+          ? `\n# ${name} (new note)\n`
+          : `\n# [${name}](https://www.amplenote.com/notes/${noteUUID})\n`;
+
+        if (entry.renamedTo) md += `- Rename to "${entry.renamedTo}"\n`;
+        if (entry.added.length > 0) md += `- Add tags: ${entry.added.join(', ')}\n`;
+        if (entry.removed.length > 0) md += `- Remove tags: ${entry.removed.join(', ')}\n`;
+        for (const task of entry.tasks) md += `- ${describeTask(task)}\n`;
+
+        for (const section of entry.sections) {
+          md += `\n## ${section.heading || 'Whole note'}\n`;
+          md += '```diff\n' + plugin.buildLineDiff(section.before, section.after) + '\n```\n';
         }
+      }
 
-        // 3. Update active project notes
-        const activeProjectNotes = await plugin.getFilteredNotes(app, 'project/active');
-        const focusProjectNotes = await plugin.getFilteredNotes(app, 'project/focus');
-        const allActiveProjects = [...activeProjectNotes, ...focusProjectNotes];
-        
-        let projectNotesUpdated = 0;
-        let projectSectionsUpdated = 0;
-        let projectItemsUpdated = 0;
+      if (changes.messages.length > 0) {
+        md += '\n# Messages\n';
+        md += changes.messages.map((m) => `- ${m.replace(/\n+/g, ' ')}`).join('\n') + '\n';
+      }
 
-        for (const note of allActiveProjects) {
-          const domainTags = note.tags.filter((t) => t.startsWith('d/'));
-          const summary = await plugin.updateAllRelatedSections(app, note.uuid, domainTags);
-          
-          projectNotesUpdated++;
-          projectSectionsUpdated += summary.updatedSections;
-          projectItemsUpdated += summary.totalItems;
+      let previewNote = await app.findNote({ name: plugin._previewNoteName });
+      if (!previewNote) {
+        // Create the note (returns temporary local UUID), then refetch for the persisted uuid
+        await app.createNote(plugin._previewNoteName, ['system', 'exclude']);
+        previewNote = await app.findNote({ name: plugin._previewNoteName });
+      }
+      if (!previewNote) {
+        await app.alert(`❌ Failed to create preview note: ${plugin._previewNoteName}`);
+        return null;
+      }
+      await app.replaceNoteContent({ uuid: previewNote.uuid }, md);
+      await app.navigate(`https://www.amplenote.com/notes/${previewNote.uuid}`);
+
+      const choice = await app.prompt(`Preview: ${title}`, {
+        inputs: [
+          {
+            label:
+              `${changes.sections.length} sections, ${tagChangeCount} tags and ` +
+              `${changes.tasks.length} tasks in ` +
+              `${byNote.size} notes would change. ` +
+              `See the ${plugin._previewNoteName} note for details.`,
+            type: 'radio',
+            options: [
+              { label: 'Apply these changes', value: 'apply' },
+              { label: 'Cancel', value: 'cancel' },
+            ],
+          },
+        ],
+      });
+      if (choice !== 'apply') return null;
+
+      const result = await plugin.runJournaled(app, title, operation);
+      await app.alert(`✅ ${title} applied.`);
+      return result;
+    }, // end runWithPreview
+    //#endregion
+
+    //#region Undo Journal Functions
+    // #################################################################################################
+    // #################################################################################################
+    //
+    //                                   Undo Journal Functions
+    //
+    // #################################################################################################
+    // #################################################################################################
+
+    // The journal keeps the last few operations in a hidden system note so "Undo Last GTD
+    // Operation" survives a plugin reload. Each entry lists the changes an operation made in the
+    // order it made them, with enough of the previous state (tag, section content, name) to put
+    // each one back. Older entries are dropped once there are more than _journalMaxEntries or the
+    // saved JSON would pass _journalMaxChars.
+    _journalNoteName: 'System Journal',
+    _journalMaxEntries: 5,
+    _journalMaxChars: 200000,
+
+    // ===============================================================================================
+    // Wraps app so every write still happens but is also recorded in `entry.changes` along with
+    // what it replaced. Writes to the plugin's own system notes (cache, journal, preview) aren't
+    // recorded, since undoing them would only confuse the plugin.
+    // Called from: runJournaled
+    // ===============================================================================================
+    createJournalApp: function (app, title) {
+      const plugin = this;
+      const entry = { title, at: new Date().toISOString(), changes: [] };
+      const internalNotes = [
+        plugin._cacheSnapshotNoteName,
+        plugin._journalNoteName,
+        plugin._previewNoteName,
+      ];
+      const uuidOf = (noteOrUUID) =>
+        typeof noteOrUUID === 'string' ? noteOrUUID : noteOrUUID?.uuid;
+
+      // Tags a note has right now: its handle's tags plus anything this operation changed since
+      const currentTags = (noteUUID, handleTags = []) => {
+        const tags = new Set(handleTags);
+        for (const change of entry.changes) {
+          if (change.type !== 'tag' || change.noteUUID !== noteUUID) continue;
+          if (change.action === 'add') tags.add(change.tag);
+          else tags.delete(change.tag);
         }
+        return tags;
+      };
+
+      const writeTag = async (noteUUID, handleTags, tag, action, write) => {
+        const had = currentTags(noteUUID, handleTags).has(tag);
+        const result = await write();
+        if (result !== false && had !== (action === 'add')) {
+          entry.changes.push({ type: 'tag', noteUUID, tag, action });
+        }
+        return result;
+      };
+
+      const wrapNote = (note) =>
+        new Proxy(note, {
+          get(target, prop) {
+            if (prop === 'addTag') {
+              return (tag) =>
+                writeTag(target.uuid, target.tags, tag, 'add', () => target.addTag(tag));
+            }
+            if (prop === 'removeTag') {
+              return (tag) =>
+                writeTag(target.uuid, target.tags, tag, 'remove', () => target.removeTag(tag));
+            }
+            const value = target[prop];
+            return typeof value === 'function' ? value.bind(target) : value;
+          },
+        });
+
+      const overrides = {
+        notes: new Proxy(app.notes, {
+          get(target, prop) {
+            if (prop === 'find') {
+              return async (noteOrUUID) => {
+                const note = await target.find(noteOrUUID);
+                return note ? wrapNote(note) : null;
+              };
+            }
+            const value = target[prop];
+            return typeof value === 'function' ? value.bind(target) : value;
+          },
+        }),
+
+        addNoteTag: async (noteOrUUID, tag) => {
+          const note = await app.findNote({ uuid: uuidOf(noteOrUUID) });
+          return writeTag(uuidOf(noteOrUUID), note?.tags, tag, 'add', () =>
+            app.addNoteTag(noteOrUUID, tag),
+          );
+        },
+
+        removeNoteTag: async (noteOrUUID, tag) => {
+          const note = await app.findNote({ uuid: uuidOf(noteOrUUID) });
+          return writeTag(uuidOf(noteOrUUID), note?.tags, tag, 'remove', () =>
+            app.removeNoteTag(noteOrUUID, tag),
+          );
+        },
+
+        replaceNoteContent: async (noteOrUUID, content, options = {}) => {
+          const noteUUID = uuidOf(noteOrUUID);
+          const note = await app.findNote({ uuid: noteUUID });
+          if (!note || internalNotes.includes(note.name)) {
+            return app.replaceNoteContent(noteOrUUID, content, options);
+          }
+
+          // Keep the exact previous text (whitespace included) so undo puts it back as it was
+          const heading = options.section?.heading?.text || null;
+          const current = await app.getNoteContent({ uuid: noteUUID });
+          const before = heading
+            ? plugin.getSectionMarkdown(current, heading, { exact: true })
+            : current;
+
+          const result = await app.replaceNoteContent(noteOrUUID, content, options);
+          if (result !== false && before !== null && before !== content) {
+            entry.changes.push({ type: 'content', noteUUID, heading, before });
+          }
+          return result;
+        },
+
+        insertNoteContent: async (noteOrUUID, content, options) => {
+          const noteUUID = uuidOf(noteOrUUID);
+          const before = await app.getNoteContent({ uuid: noteUUID });
+          const result = await app.insertNoteContent(noteOrUUID, content, options);
+          if (result !== false) {
+            entry.changes.push({ type: 'content', noteUUID, heading: null, before });
+          }
+          return result;
+        },
+
+        setNoteName: async (noteOrUUID, name) => {
+          const note = await app.findNote({ uuid: uuidOf(noteOrUUID) });
+          const result = await app.setNoteName(noteOrUUID, name);
+          if (result !== false && note) {
+            entry.changes.push({ type: 'rename', noteUUID: note.uuid, before: note.name });
+          }
+          return result;
+        },
+
+        createNote: async (name, tags = []) => {
+          const result = await app.createNote(name, tags);
+          if (!internalNotes.includes(name)) entry.changes.push({ type: 'create', name });
+          return result;
+        },
+
+        // Keeps the previous value of each property changed, e.g. completedAt when completing
+        updateTask: async (taskUUID, properties) => {
+          const task = await app.getTask(taskUUID);
+          const result = await app.updateTask(taskUUID, properties);
+          if (result !== false && task) {
+            const before = {};
+            for (const key of Object.keys(properties)) before[key] = task[key] ?? null;
+            entry.changes.push({ type: 'task', noteUUID: task.noteUUID, taskUUID, before });
+          }
+          return result;
+        },
+
+        // Plugin settings keep their previous value ('' if unset, which loadSettings ignores)
+        setSetting: async (name, value) => {
+          const before = app.settings?.[name] ?? '';
+          const result = await app.setSetting(name, value);
+          if (before !== value) entry.changes.push({ type: 'setting', name, before });
+          return result;
+        },
+
+        // Tasks copied into a note (moveTasks) are dismissed on undo, since the originals return
+        insertTask: async (noteOrUUID, task) => {
+          const taskUUID = await app.insertTask(noteOrUUID, task);
+          if (taskUUID) {
+            entry.changes.push({ type: 'insert-task', noteUUID: uuidOf(noteOrUUID), taskUUID });
+          }
+          return taskUUID;
+        },
+      };
+
+      const journalApp = new Proxy(app, {
+        get(target, prop) {
+          if (prop in overrides) return overrides[prop];
+          const value = target[prop];
+          return typeof value === 'function' ? value.bind(target) : value;
+        },
+      });
+
+      return { journalApp, entry };
+    }, // end createJournalApp
+
+    // ===============================================================================================
+    // Runs an operation against a journaling app and saves its changes as the newest journal
+    // entry, so it can be rolled back with "Undo Last GTD Operation". Returns the operation's
+    // result.
+    // Called from: the appOption, linkOption and noteOption entry points that change notes
+    // ===============================================================================================
+    runJournaled: async function (app, title, operation) {
+      const plugin = this;
+      const { journalApp, entry } = plugin.createJournalApp(app, title);
+
+      try {
+        return await operation(journalApp);
+      } finally {
+        // Save even if the operation failed partway, so whatever it did can still be undone
+        if (entry.changes.length > 0) {
+          const entries = await plugin.loadJournal(app);
+          entries.push(entry);
+          await plugin.saveJournal(app, plugin.rotateJournal(entries));
+        }
+      }
+    }, // end runJournaled
+
+    // ===============================================================================================
+    // Drops the oldest entries until the journal fits _journalMaxEntries and _journalMaxChars.
+    // An entry too big to fit on its own is dropped along with everything before it, since
+    // undoing an older operation on top of an unrecorded newer one would be wrong.
+    // Called from: runJournaled
+    // ===============================================================================================
+    rotateJournal: function (entries) {
+      const kept = entries.slice(-this._journalMaxEntries);
+      while (kept.length > 0 && JSON.stringify(kept).length > this._journalMaxChars) kept.shift();
+      return kept;
+    }, // end rotateJournal
+
+    // ===============================================================================================
+    // Loads the journal entries (oldest first) from the System Journal note, or [] if there
+    // isn't one or it can't be parsed
+    // ===============================================================================================
+    loadJournal: async function (app) {
+      const journalNote = await app.findNote({ name: this._journalNoteName });
+      if (!journalNote) return [];
+
+      const content = await app.getNoteContent(journalNote);
+      const match = content?.match(/```json\n([\s\S]*?)```/);
+      if (!match) return [];
+
+      try {
+        const entries = JSON.parse(match[1]);
+        return Array.isArray(entries) ? entries : [];
+      } catch (_err) {
+        return [];
+      }
+    }, // end loadJournal
+
+    // ===============================================================================================
+    // Saves the journal entries to the System Journal note, creating it if needed
+    // ===============================================================================================
+    saveJournal: async function (app, entries) {
+      // Escape backticks so saved section content can't close the code fence early
+      const json = JSON.stringify(entries).replace(/`/g, '\\u0060');
+      const content =
+        '_Generated by the GTD plugin. Do not edit; ' +
+        'use "Undo Last GTD Operation" to roll back._\n\n' +
+        '```json\n' +
+        json +
+        '\n```';
+
+      let journalNote = await app.findNote({ name: this._journalNoteName });
+      if (!journalNote) {
+        // Create the note (returns temporary local UUID), then refetch for the persisted uuid
+        await app.createNote(this._journalNoteName, ['system', 'exclude']);
+        journalNote = await app.findNote({ name: this._journalNoteName });
+      }
+      if (!journalNote) return;
+
+      await app.replaceNoteContent({ uuid: journalNote.uuid }, content);
+    }, // end saveJournal
+
+    // ===============================================================================================
+    // Rolls back the newest journal entry, undoing its changes newest first, then drops it from
+    // the journal. Tasks the operation inserted are dismissed; notes it created are left in place
+    // and listed in the summary.
+    // Called from: appOption "Undo Last GTD Operation"
+    // ===============================================================================================
+    undoLastOperation: async function (app) {
+      const plugin = this;
+      const entries = await plugin.loadJournal(app);
+      const entry = entries[entries.length - 1];
+      if (!entry) {
+        await app.alert('⚠️ There is no GTD operation to undo.');
+        return;
+      }
+
+      const when = new Date(entry.at).toLocaleString();
+      const choice = await app.prompt('Undo Last GTD Operation', {
+        inputs: [
+          {
+            label: `Undo "${entry.title}" from ${when} (${entry.changes.length} changes)?`,
+            type: 'radio',
+            options: [
+              { label: 'Undo it', value: 'undo' },
+              { label: 'Cancel', value: 'cancel' },
+            ],
+          },
+        ],
+      });
+      if (choice !== 'undo') return;
+
+      let restored = 0;
+      const skipped = [];
+      const created = [];
+
+      for (const change of [...entry.changes].reverse()) {
+        if (change.type === 'create') {
+          created.push(change.name);
+          continue;
+        }
+        if (change.type === 'setting') {
+          await app.setSetting(change.name, change.before);
+          restored++;
+          continue;
+        }
+        if (change.type === 'insert-task') {
+          await app.updateTask(change.taskUUID, { dismissedAt: Math.floor(Date.now() / 1000) });
+          plugin.invalidateNoteTasks(change.noteUUID);
+          restored++;
+          continue;
+        }
+        if (change.type === 'task') {
+          await app.updateTask(change.taskUUID, change.before);
+          plugin.invalidateNoteTasks(change.noteUUID);
+          restored++;
+          continue;
+        }
+
+        const note = await app.notes.find(change.noteUUID);
+        if (!note) {
+          skipped.push(change);
+          continue;
+        }
+
+        if (change.type === 'tag') {
+          if (change.action === 'add') {
+            await note.removeTag(change.tag);
+            plugin.removeCacheTag(change.noteUUID, change.tag);
+          } else {
+            await note.addTag(change.tag);
+            plugin.updateCacheWithTag(change.noteUUID, change.tag);
+          }
+        } else if (change.type === 'content') {
+          const options = change.heading ? { section: { heading: { text: change.heading } } } : {};
+          await app.replaceNoteContent({ uuid: change.noteUUID }, change.before, options);
+          // The restored content may bring back tasks
+          plugin.invalidateNoteTasks(change.noteUUID);
+        } else if (change.type === 'rename') {
+          await app.setNoteName({ uuid: change.noteUUID }, change.before);
+        }
+        restored++;
+      }
+
+      await plugin.saveJournal(app, entries.slice(0, -1));
+      if (entry.changes.some((change) => change.type === 'setting')) await plugin.loadSettings(app);
+
+      let message = `✅ Undid "${entry.title}" (${restored} changes restored)`;
+      if (skipped.length > 0) {
+        message += `\n⚠️ ${skipped.length} changes skipped (note no longer exists)`;
+      }
+      if (created.length > 0) {
+        message += `\nNotes it created were left in place: ${created.join(', ')}`;
+      }
+      await app.alert(message);
+    }, // end undoLastOperation
+    //#endregion
+
+    //#region Weekly Review Functions
+    // #################################################################################################
+    // #################################################################################################
+    //
+    //                                     Weekly Review Functions
+    //
+    // #################################################################################################
+    // #################################################################################################
+
+    // ===============================================================================================
+    // Walks the user through a GTD weekly review:
+    //   1. Runs taggingCleanup and summarizes the Inbox cleanup results
+    //   2. Offers status changes for focus/active projects with no next action
+    //   3. Offers status changes for on-hold/someday projects untouched for N weeks
+    //   Completing or canceling a project in steps 2 and 3 runs closeProject, as setNoteTags does
+    //   4. Lists overdue deadline tasks
+    //   5. Writes a dated "Weekly Review: <date>" summary note tagged weekly-reviews
+    // Called from: appOption "Weekly Review"
+    // ===============================================================================================
+    weeklyReview: async function (app) {
+      const plugin = this;
+      const reviewTag = 'weekly-reviews';
+
+      // Prompts with a single input return a bare value instead of an array
+      const toArray = (result) => (Array.isArray(result) ? result : [result]);
+      const linkTo = (n) => {
+        const handle = plugin.normalizeNoteHandle(n);
+        return `[${handle.name}](${handle.url})`;
+      };
+
+      // === Step 0: Ask how long on-hold/someday projects can sit before they're flagged ===
+      const weeksResult = await app.prompt('Weekly Review', {
+        inputs: [
+          {
+            label: 'Flag on-hold and someday projects untouched for how many weeks?',
+            type: 'string',
+            value: '4',
+          },
+        ],
+      });
+      if (weeksResult === null || weeksResult === undefined) return;
+
+      const weeks = parseInt(toArray(weeksResult)[0], 10);
+      if (isNaN(weeks) || weeks < 1) {
+        await app.alert('❌ Please enter a whole number of weeks (1 or more).');
+        return;
+      }
+
+      // === Step 1: Inbox cleanup ===
+      const cleanupResults = (await plugin.taggingCleanup(app)) || [];
+      const cleanupSummary = cleanupResults.length
+        ? cleanupResults.map((group) => `• ${group.reason}: ${group.notes.length}`).join('\n')
+        : '• No cleanup issues found';
+      await app.alert(`Step 1 of 5: Inbox cleanup\n\n${cleanupSummary}`);
+
+      // Offers a status select for each project and applies any changes the user picks
+      const statusChanges = [];
+      const reviewProjects = async (title, projects) => {
+        if (projects.length === 0) return true;
+
+        const sorted = [...projects].sort((a, b) => a.name.localeCompare(b.name));
+        const result = await app.prompt(title, {
+          inputs: sorted.map((project) => ({
+            label: project.name,
+            type: 'select',
+            options: [{ label: 'No change', value: '' }, ...plugin.projectStatusOptions],
+            value: '',
+          })),
+        });
+        if (result === null || result === undefined) return false;
+
+        const values = toArray(result);
+        for (let i = 0; i < sorted.length; i++) {
+          if (!values[i]) continue;
+          const note = await app.notes.find(sorted[i].uuid);
+          if (!note) continue;
+          const oldStatus = note.tags.find((t) => t.startsWith('project/'));
+          let newStatus;
+          if (values[i] === 'project/completed' || values[i] === 'project/canceled') {
+            // Closing runs the same close-out workflow as setNoteTags; cancelling it skips the note
+            if (!(await plugin.closeProject(app, note, values[i]))) continue;
+            const closed = await app.notes.find(note.uuid);
+            newStatus = closed?.tags.find((t) => t.startsWith(values[i]));
+          } else {
+            newStatus = await plugin.setProjectStatus(note, values[i]);
+          }
+          statusChanges.push({ note: sorted[i], from: oldStatus, to: newStatus });
+        }
+        return true;
+      };
+
+      // === Step 2: Focus/active projects with no next action ===
+      const { noNextAction, stalledParents } = await plugin.getStalledProjects(app, [
+        'project/focus',
+        'project/active',
+      ]);
+      const stalled = [...noNextAction, ...stalledParents];
+      const stalledReviewed = await reviewProjects(
+        `Step 2 of 5: ${stalled.length} focus/active projects have no next action`,
+        stalled,
+      );
+      if (!stalledReviewed) return;
+
+      // === Step 3: On-hold/someday projects that have gone quiet ===
+      const dormant = await plugin.getDormantProjects(
+        app,
+        ['project/on-hold', 'project/someday'],
+        weeks,
+      );
+      const dormantReviewed = await reviewProjects(
+        `Step 3 of 5: ${dormant.length} on-hold/someday projects untouched for ${weeks}+ weeks`,
+        dormant,
+      );
+      if (!dormantReviewed) return;
+
+      // === Step 4: Overdue deadline tasks ===
+      const overdue = await plugin.getOverdueTasks(app);
+      const allNotes = await plugin._getCachedNotes(app);
+      const overdueLines = [];
+      let footnoteCounter = 1;
+      for (const task of overdue) {
+        const daysLate = Math.ceil(-plugin.daysUntilDeadline(task.deadline));
+        const dueStr = plugin.convertDeadlineToTimeZone(task.deadline);
+        const { updatedContent, nextCounter } = plugin.uniquifyFootnotes(
+          task.content.trim(),
+          footnoteCounter,
+        );
+        footnoteCounter = nextCounter;
+
+        const source = allNotes.find((n) => n.uuid === task.noteUUID);
+        const sourceLink = source ? ` — ${linkTo(source)}` : '';
+        overdueLines.push(`- (Due ${dueStr}, ${daysLate}d late) ${updatedContent}${sourceLink}`);
+      }
+      await app.alert(
+        `Step 4 of 5: ${overdue.length} overdue deadline tasks\n\n` +
+          (overdue.length
+            ? 'They are listed in the review summary note.'
+            : 'Nothing is overdue. Nice work!'),
+      );
+
+      // === Step 5: Write the review summary note ===
+      const today = new Date();
+      const reviewName = `Weekly Review: ${plugin._formatJotName(today)}`;
+      const statusLabel = (tag) =>
+        plugin.projectStatusOptions.find((o) => tag && tag.startsWith(o.value))?.label ||
+        tag ||
+        'none';
+
+      let md = '# Inbox Cleanup\n';
+      md += cleanupResults.length
+        ? cleanupResults.map((group) => `- ${group.reason} (${group.notes.length})`).join('\n')
+        : '_No cleanup issues found_';
+
+      md += '\n\n# Projects Without Next Actions\n';
+      md += stalled.length
+        ? stalled.map((n) => `- ${linkTo(n)}`).join('\n')
+        : '_Every focus and active project has an open task_';
+
+      md += `\n\n# Dormant Projects (${weeks}+ weeks)\n`;
+      md += dormant.length
+        ? dormant.map((n) => `- ${linkTo(n)}`).join('\n')
+        : '_No dormant on-hold or someday projects_';
+
+      md += '\n\n# Status Changes\n';
+      md += statusChanges.length
+        ? statusChanges
+            .map((c) => `- ${linkTo(c.note)}: ${statusLabel(c.from)} → ${statusLabel(c.to)}`)
+            .join('\n')
+        : '_No status changes_';
+
+      md += '\n\n# Overdue Tasks\n';
+      md += overdueLines.length ? overdueLines.join('\n') : '_No overdue tasks_';
+
+      let reviewNote = await app.findNote({ name: reviewName });
+      if (!reviewNote) {
+        // Create the note (returns temporary local UUID), then refetch for the persisted uuid
+        await app.createNote(reviewName, [reviewTag]);
+        reviewNote = await app.findNote({ name: reviewName });
+      }
+      if (!reviewNote) {
+        await app.alert(`❌ Failed to create review note: ${reviewName}`);
+        return;
+      }
+
+      await app.replaceNoteContent({ uuid: reviewNote.uuid }, md);
+      await app.navigate(`https://www.amplenote.com/notes/${reviewNote.uuid}`);
+    }, // end weeklyReview
+    //#endregion
+
+    //#region App Actions
+    // #################################################################################################
+    // #################################################################################################
+    //                                          App Actions
+    // #################################################################################################
+    // #################################################################################################
+
+    appOption: {
+      // =============================================================================================
+      // Update All Lists
+      // This function is the orchestrator for updating all list notes in whatever ways are
+      // appropriate
+      // =============================================================================================
+
+      'Update All Lists': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+
+        const summary = await plugin.runJournaled(app, 'Update All Lists', (journalApp) =>
+          plugin.updateAllLists(journalApp),
+        );
 
         await app.alert(
-          `✅ Updated ${totalNotes} list notes\n` +
-            `Sections refreshed: ${totalSections}\n` +
-            `Total items updated: ${totalItems}\n\n` +
-            `📋 Updated ${projectNotesUpdated} active projects\n` +
-            `Project sections refreshed: ${projectSectionsUpdated}\n` +
-            `Project items updated: ${projectItemsUpdated}`,
+          `✅ Updated ${summary.listNotes} list notes\n` +
+            `Sections refreshed: ${summary.listSections}\n` +
+            `Total items updated: ${summary.listItems}\n\n` +
+            `📋 Updated ${summary.projectNotes} active projects\n` +
+            `Project sections refreshed: ${summary.projectSections}\n` +
+            `Project items updated: ${summary.projectItems}`,
         );
       }, // end Update All Lists
+
+      // =============================================================================================
+      // Preview Update All Lists
+      // Shows every section "Update All Lists" would change and asks before applying
+      // =============================================================================================
+      'Preview Update All Lists': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runWithPreview(app, 'Update All Lists', (targetApp) =>
+          plugin.updateAllLists(targetApp),
+        );
+      }, // end Preview Update All Lists
       // =============================================================================================
       // Refresh Note Cache
       // Quick way to refresh the note cache used by various functions
       // =============================================================================================
       'Refresh Note Cache': async function (app) {
+        await this.loadSettings(app);
         await this.refreshNoteCache(app);
       }, // end Refresh Note Cache
+
+      // =============================================================================================
+      // Weekly Review
+      // Step-by-step GTD weekly review that ends with a dated summary note
+      // =============================================================================================
+      'Weekly Review': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Weekly Review', (journalApp) =>
+          plugin.weeklyReview(journalApp),
+        );
+      }, // end Weekly Review
+
+      // =============================================================================================
+      // Repair Relationships
+      // Reports relationship tag defects across the notebook and offers to fix them
+      // =============================================================================================
+      'Repair Relationships': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+
+        plugin.invalidateNoteCache();
+        const groups = await plugin.checkRelationshipIntegrity(app);
+        if (groups.length === 0) {
+          await app.alert('✅ No relationship problems found.');
+          return;
+        }
+
+        const summary = groups.map((g) => `• ${g.reason}: ${g.issues.length}`).join('\n');
+        const choice = await app.prompt('Repair Relationships', {
+          inputs: [
+            {
+              label: `Found these relationship problems:\n${summary}`,
+              type: 'radio',
+              options: [
+                { label: 'Repair them all', value: 'repair' },
+                { label: 'Cancel', value: 'cancel' },
+              ],
+            },
+          ],
+        });
+        if (choice !== 'repair') return;
+
+        const { repaired, removed } = await plugin.runJournaled(
+          app,
+          'Repair Relationships',
+          (journalApp) => plugin.repairRelationshipIntegrity(journalApp),
+        );
+        let message = `✅ Repaired ${repaired} relationship problems.`;
+        if (removed.length > 0) {
+          message +=
+            `\n\n⚠️ Removed ${removed.length} parent/child links that couldn't be completed:\n\n` +
+            removed.map((problem) => problem.replace(/^❌ /, '• ')).join('\n\n');
+        }
+        await app.alert(message);
+      }, // end Repair Relationships
+
+      // =============================================================================================
+      // Rename Daily Jots…
+      // Switches daily jots to a new name pattern/locale, renaming the existing ones to match
+      // =============================================================================================
+      'Rename Daily Jots…': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+        const settings = plugin.getSettings();
+
+        const result = await app.prompt('Rename Daily Jots', {
+          inputs: [
+            {
+              label: 'New name pattern (e.g. "MMMM Do, YYYY", "YYYY-MM-DD", "dddd D. MMMM YYYY")',
+              type: 'string',
+              value: settings.jotNamePattern,
+            },
+            {
+              label: 'Language (e.g. "en-US", "de-DE")',
+              type: 'string',
+              value: settings.jotNameLocale,
+            },
+          ],
+        });
+        if (!result) return;
+
+        const [pattern, locale] = result.map((value) => (value || '').trim());
+        const problem =
+          plugin.validateSetting('jotNamePattern', pattern) ||
+          plugin.validateSetting('jotNameLocale', locale);
+        if (problem) {
+          await app.alert(`❌ ${problem}`);
+          return;
+        }
+
+        // The settings change is journaled with the renames, so undo reverts both together
+        const summary = await plugin.runJournaled(app, 'Rename Daily Jots', async (journalApp) => {
+          const result = await plugin.renameDailyJots(journalApp, pattern, locale);
+          await journalApp.setSetting('jotNamePattern', pattern);
+          await journalApp.setSetting('jotNameLocale', locale);
+          return result;
+        });
+        await plugin.loadSettings(app);
+
+        let message = `✅ Renamed ${summary.renamed} daily jots to "${pattern}" (${locale}).`;
+        if (summary.unparsed.length > 0) {
+          message += `\n\n⚠️ No date found in: ${summary.unparsed.join(', ')}`;
+        }
+        if (summary.conflicts.length > 0) {
+          const taken = summary.conflicts.join(', ');
+          message += `\n\n⚠️ Left alone because the new name is taken: ${taken}`;
+        }
+        await app.alert(message);
+      }, // end Rename Daily Jots…
+
+      // =============================================================================================
+      // Undo Last GTD Operation
+      // Rolls back the tag and section changes made by the most recent journaled operation
+      // =============================================================================================
+      'Undo Last GTD Operation': async function (app) {
+        await this.loadSettings(app);
+        await this.undoLastOperation(app);
+      }, // end Undo Last GTD Operation
     }, // end appOption
     //#endregion
 
@@ -2738,7 +6528,11 @@
           await app.alert('❌ Invalid note link.');
           return;
         }
-        await this.setNoteTags(app, uuidMatch[1]);
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Update Tags', (journalApp) =>
+          plugin.setNoteTags(journalApp, uuidMatch[1]),
+        );
       }, // end Set Note Tags
 
       // =============================================================================================
@@ -2754,39 +6548,42 @@
           return;
         }
         const noteUUID = uuidMatch[1];
-        
-        const note = await app.notes.find(noteUUID);
-
-        // Detect any domain tags (d/work, d/home, etc.)
-        const domainTags = note.tags.filter((t) => t.startsWith('d/'));
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Update Note', async (journalApp) => {
+          const note = await journalApp.notes.find(noteUUID);
 
-        //let summary = { updatedSections: 0, totalItems: 0 };
-
-        const isListNote = note.tags.some((t) => t.startsWith('list/'));
-        if (isListNote) {
-          const listType = note.tags.find((t) => t.startsWith('list/'));
-
-          switch (listType) {
-            case 'list/project':
-            case 'list/software':
-            case 'list/people':
-            case 'list/reference':
-              // Bracketed text flat mode updates, filtered by domain
-              //summary = await plugin.updateBracketedSections(app, note, listType, domainTags);
-              await plugin.updateBracketedSections(app, note, listType, domainTags);
-              break;
+          // Detect any domain tags (d/work, d/home, etc.)
+          const domainTags = note.tags.filter((t) => t.startsWith('d/'));
 
-            case 'list/related':
-              // Run existing Related * section updates, filtered by domain
-              //summary = await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-              await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-              break;
+          //let summary = { updatedSections: 0, totalItems: 0 };
+
+          const isListNote = note.tags.some((t) => t.startsWith('list/'));
+          if (isListNote) {
+            const listType = note.tags.find((t) => t.startsWith('list/'));
+
+            switch (listType) {
+              case 'list/project':
+              case 'list/software':
+              case 'list/people':
+              case 'list/reference':
+              case 'list/context':
+                // Bracketed text flat mode updates, filtered by domain
+                //summary = await plugin.updateBracketedSections(journalApp, note, listType, domainTags);
+                await plugin.updateBracketedSections(journalApp, note, listType, domainTags);
+                break;
+
+              case 'list/related':
+                // Run existing Related * section updates, filtered by domain
+                //summary = await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+                await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+                break;
+            }
+          } else {
+            // Non-list note → only update Related sections, filtered by domain
+            //summary = await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+            await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
           }
-        } else {
-          // Non-list note → only update Related sections, filtered by domain
-          //summary = await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-          await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-        }
+        });
 
         /*
         await app.alert(
@@ -2796,6 +6593,28 @@
         );
         */
       }, // end Update Note
+
+      // =============================================================================================
+      // Creates the daily jot behind a "create jot" calendar link (calendarFutureJots: "link"),
+      // from the weekday or weekend template, then refreshes the Inbox calendar and opens the jot
+      // =============================================================================================
+      'Create Daily Jot': async function (app, link) {
+        const plugin = this;
+        const date = plugin._parseCreateJotUrl(link.href);
+        if (!date) {
+          await app.alert('❌ This is not a "create jot" calendar link.');
+          return;
+        }
+        const settings = await plugin.loadSettings(app);
+
+        const jot = await plugin.runJournaled(app, 'Create Daily Jot', async (journalApp) => {
+          const created = await plugin._getOrCreateDailyJot(journalApp, date);
+          const inbox = await journalApp.findNote({ name: settings.inboxNoteName });
+          if (created && inbox) await plugin.updateCalendarSection(journalApp, inbox.uuid);
+          return created;
+        });
+        if (jot) await app.navigate(`https://www.amplenote.com/notes/${jot.uuid}`);
+      }, // end Create Daily Jot
     }, // end linkOption
     //#endregion
 
@@ -2812,7 +6631,11 @@
       // =============================================================================================
       'Update Tags': async function (app, noteUUID) {
         //await app.alert("Getting ready to call setNoteTags");
-        await this.setNoteTags(app, noteUUID);
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Update Tags', (journalApp) =>
+          plugin.setNoteTags(journalApp, noteUUID),
+        );
       }, //end Set Note Tags
 
       // =============================================================================================
@@ -2821,39 +6644,43 @@
       // appropriate
       // =============================================================================================
       'Update Note': async function (app, noteUUID) {
-        //const plugin = this;
-        const note = await app.notes.find(noteUUID);
-
-        // Detect any domain tags (d/work, d/home, etc.)
-        const domainTags = note.tags.filter((t) => t.startsWith('d/'));
-
-        //let summary = { updatedSections: 0, totalItems: 0 };
-
-        const isListNote = note.tags.some((t) => t.startsWith('list/'));
-        if (isListNote) {
-          const listType = note.tags.find((t) => t.startsWith('list/'));
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Update Note', async (journalApp) => {
+          const note = await journalApp.notes.find(noteUUID);
 
-          switch (listType) {
-            case 'list/project':
-            case 'list/software':
-            case 'list/people':
-            case 'list/reference':
-              // Bracketed text flat mode updates, filtered by domain
-              //summary = await plugin.updateBracketedSections(app, note, listType, domainTags);
-              await plugin.updateBracketedSections(app, note, listType, domainTags);
-              break;
+          // Detect any domain tags (d/work, d/home, etc.)
+          const domainTags = note.tags.filter((t) => t.startsWith('d/'));
 
-            case 'list/related':
-              // Run existing Related * section updates, filtered by domain
-              //summary = await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-              await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-              break;
+          //let summary = { updatedSections: 0, totalItems: 0 };
+
+          const isListNote = note.tags.some((t) => t.startsWith('list/'));
+          if (isListNote) {
+            const listType = note.tags.find((t) => t.startsWith('list/'));
+
+            switch (listType) {
+              case 'list/project':
+              case 'list/software':
+              case 'list/people':
+              case 'list/reference':
+              case 'list/context':
+                // Bracketed text flat mode updates, filtered by domain
+                //summary = await plugin.updateBracketedSections(journalApp, note, listType, domainTags);
+                await plugin.updateBracketedSections(journalApp, note, listType, domainTags);
+                break;
+
+              case 'list/related':
+                // Run existing Related * section updates, filtered by domain
+                //summary = await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+                await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+                break;
+            }
+          } else {
+            // Non-list note → only update Related sections, filtered by domain
+            //summary = await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
+            await plugin.updateAllRelatedSections(journalApp, noteUUID, domainTags);
           }
-        } else {
-          // Non-list note → only update Related sections, filtered by domain
-          //summary = await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-          await plugin.updateAllRelatedSections(app, noteUUID, domainTags);
-        }
+        });
 
         /*
         await app.alert(
@@ -2868,14 +6695,119 @@
       // Note option wrapper to run Tagging Cleanup manually
       // ===============================================================================================
       'Run Tagging Cleanup': async function (app) {
-        await this.taggingCleanup(app);
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Tagging Cleanup', (journalApp) =>
+          plugin.taggingCleanup(journalApp),
+        );
       }, // End Run Tagging Cleanup
 
+      // ===============================================================================================
+      // Merges the current note into another note, keeping its relationships, then archives it
+      // ===============================================================================================
+      'Merge Into…': async function (app, noteUUID) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+
+        const target = await app.prompt('Merge this note into…', {
+          inputs: [{ label: 'Target note (this note will be archived)', type: 'note' }],
+        });
+        if (!target?.uuid) return;
+
+        const summary = await plugin.runJournaled(app, 'Merge Into…', (journalApp) =>
+          plugin.mergeNotes(journalApp, noteUUID, target.uuid),
+        );
+        if (!summary) return;
+
+        await app.alert(
+          `✅ Merged into "${target.name}"\n` +
+            `Tasks moved: ${summary.tasks}\n` +
+            `Tags copied: ${summary.tags}\n` +
+            `Relationship tags updated: ${summary.relinked}`,
+        );
+        await app.navigate(`https://www.amplenote.com/notes/${target.uuid}`);
+      }, // end Merge Into…
+
+      // ===============================================================================================
+      // Moves the current note, with its whole subtree, under a different parent
+      // ===============================================================================================
+      'Move Under…': async function (app, noteUUID) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+
+        const target = await app.prompt('Move this note under…', {
+          inputs: [{ label: 'New parent (replaces the current parents)', type: 'note' }],
+        });
+        if (!target?.uuid) return;
+
+        const summary = await plugin.runJournaled(app, 'Move Under…', (journalApp) =>
+          plugin.moveNoteUnder(journalApp, noteUUID, target.uuid),
+        );
+        if (!summary) return;
+
+        const detached = summary.oldParents.length
+          ? ` (detached from ${summary.oldParents.map((p) => `"${p.name}"`).join(', ')})`
+          : '';
+        await app.alert(`✅ Moved under "${summary.newParent.name}"${detached}`);
+      }, // end Move Under…
+
+      // ===============================================================================================
+      // Draws the note's relationship neighborhood into its Relationship Map section
+      // ===============================================================================================
+      'Relationship Map': async function (app, noteUUID) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+
+        const result = await app.prompt('Relationship Map', {
+          inputs: [
+            {
+              label: 'How many hops out from this note?',
+              type: 'select',
+              options: [1, 2, 3].map((n) => ({ label: String(n), value: String(n) })),
+              value: '2',
+            },
+            {
+              label: 'Format',
+              type: 'radio',
+              options: [
+                { label: 'Mermaid', value: 'mermaid' },
+                { label: 'Graphviz DOT', value: 'dot' },
+              ],
+              value: 'mermaid',
+            },
+          ],
+        });
+        if (!result) return;
+
+        const [hops, format] = result;
+        await plugin.runJournaled(app, 'Relationship Map', (journalApp) =>
+          plugin.updateRelationshipMapSection(journalApp, noteUUID, {
+            maxHops: parseInt(hops, 10) || 2,
+            format: format || 'mermaid',
+          }),
+        );
+      }, // end Relationship Map
+
+      // ===============================================================================================
+      // Note option wrapper to preview Tagging Cleanup before it touches anything
+      // ===============================================================================================
+      'Preview Tagging Cleanup': async function (app) {
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runWithPreview(app, 'Tagging Cleanup', (targetApp) =>
+          plugin.taggingCleanup(targetApp),
+        );
+      }, // end Preview Tagging Cleanup
+
       // ===============================================================================================
       // Note option wrapper to clear all tags
       // ===============================================================================================
       'Clear Tags': async function (app, noteUUID) {
-        await this.clearAllTags(app, noteUUID);
+        const plugin = this;
+        await plugin.loadSettings(app);
+        await plugin.runJournaled(app, 'Clear Tags', (journalApp) =>
+          plugin.clearAllTags(journalApp, noteUUID),
+        );
       }, // end Clear Tags
 
 /*    
@@ -2910,7 +6842,7 @@
 
           const daysLeft = plugin.daysUntilDeadline(task.deadline);
           if (daysLeft <= 2) {
-            const pacificDeadline = plugin.convertDeadlineToPacific(task.deadline);
+            const deadlineInZone = plugin.convertDeadlineToTimeZone(task.deadline);
             const { updatedContent, nextCounter } = plugin.uniquifyFootnotes(
               task.content,
               footnoteCounter,
@@ -2918,7 +6850,7 @@
             footnoteCounter = nextCounter;
 
             deadlineTasks.push({
-              content: `(Due: ${pacificDeadline}) ${updatedContent}`,
+              content: `(Due: ${deadlineInZone}) ${updatedContent}`,
               daysLeft,
             });
           }
@@ -0,0 +1,111 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeApp } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { buildNotebook } from './fixtures/notebook.js';
+
+afterEach(() => mock.timers.reset());
+
+// Records the uuid of every note fetched through app.notes.find
+function trackFetches(app) {
+  const fetched = [];
+  const find = app.notes.find;
+  app.notes.find = async (noteOrUUID) => {
+    fetched.push(typeof noteOrUUID === 'string' ? noteOrUUID : noteOrUUID.uuid);
+    return find(noteOrUUID);
+  };
+  return fetched;
+}
+
+function readSnapshot(app) {
+  const content = app.getNoteByName('System Cache').content;
+  return JSON.parse(content.match(/```json\n([\s\S]*?)```/)[1]);
+}
+
+test('a task cache sync after the TTL only re-fetches notes whose updated time changed', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes });
+  const plugin = loadPlugin();
+  await plugin.getAllTasks(app);
+
+  const fetched = trackFetches(app);
+  const inbox = app.getNote(uuid.inbox);
+  inbox.tasks.push({ uuid: 'new-task', content: 'Buy stamps', noteUUID: inbox.uuid });
+  inbox.updated = '2025-11-26T18:00:00.000Z';
+
+  mock.timers.tick(plugin._taskCacheTTL + 1000);
+  const tasks = await plugin.getAllTasks(app);
+
+  assert.deepEqual(fetched, [uuid.inbox]);
+  assert.ok(tasks.some((t) => t.uuid === 'new-task'));
+});
+
+test('the System Cache snapshot keeps only notes with tasks and the task fields in use', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes });
+  app.getNote(uuid.homeProject).tasks[0].important = true;
+  const plugin = loadPlugin();
+
+  await plugin.getAllTasks(app);
+
+  const snapshot = readSnapshot(app);
+  assert.deepEqual(
+    Object.keys(snapshot.tasks).sort(),
+    [uuid.childProject, uuid.onHoldProject, uuid.homeProject, uuid.jot].sort(),
+  );
+  assert.deepEqual(Object.keys(snapshot.tasks[uuid.homeProject].tasks[0]).sort(), [
+    'content',
+    'noteUUID',
+    'score',
+    'uuid',
+  ]);
+});
+
+test('a snapshot over the size cap is not written', async () => {
+  const { notes } = buildNotebook();
+  const app = createFakeApp({ notes });
+  const plugin = loadPlugin();
+  plugin._cacheSnapshotMaxChars = 100;
+
+  const tasks = await plugin.getAllTasks(app);
+
+  assert.ok(tasks.length > 0);
+  assert.equal(app.getNoteByName('System Cache'), null);
+});
+
+test('after a reload the snapshot is reused for every note that has not changed', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes });
+  const before = await loadPlugin().getAllTasks(app);
+
+  const inbox = app.getNote(uuid.inbox);
+  inbox.tasks.push({ uuid: 'new-task', content: 'Buy stamps', noteUUID: inbox.uuid });
+  inbox.updated = '2025-11-26T18:00:00.000Z';
+  const fetched = trackFetches(app);
+  const tasks = await loadPlugin().getAllTasks(app);
+
+  assert.deepEqual(fetched, [uuid.inbox]);
+  assert.deepEqual(
+    tasks.map((t) => t.uuid).sort(),
+    [...before.map((t) => t.uuid), 'new-task'].sort(),
+  );
+});
+
+test('Refresh Note Cache ignores the snapshot and re-fetches every note', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+  const { notes } = buildNotebook();
+  const app = createFakeApp({ notes });
+  await loadPlugin().getAllTasks(app);
+
+  const plugin = loadPlugin();
+  const fetched = trackFetches(app);
+  await plugin.appOption['Refresh Note Cache'].call(plugin, app);
+  await plugin.getAllTasks(app);
+
+  const cached = await app.filterNotes({ tag: '^archive,^exclude' });
+  assert.deepEqual(fetched.sort(), cached.map((n) => n.uuid).sort());
+});
@@ -0,0 +1,469 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeApp, linkedUUIDs, sectionContent } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { buildNotebook } from './fixtures/notebook.js';
+
+afterEach(() => mock.timers.reset());
+
+// Wednesday, November 26th 2025 (local time)
+function freezeToday() {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+}
+
+test('_formatJotName uses ordinal day suffixes', () => {
+  const plugin = loadPlugin();
+
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 1)), 'November 1st, 2025');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 2)), 'November 2nd, 2025');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 3)), 'November 3rd, 2025');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 11)), 'November 11th, 2025');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 22)), 'November 22nd, 2025');
+});
+
+test('_getMostRecentSunday returns midnight on the last Sunday', () => {
+  freezeToday();
+  const plugin = loadPlugin();
+
+  const sunday = plugin._getMostRecentSunday();
+
+  assert.equal(sunday.getDay(), 0);
+  assert.equal(sunday.getDate(), 23);
+  assert.equal(sunday.getHours(), 0);
+});
+
+test('_createCalendarMarkdown links days that have a jot', () => {
+  const plugin = loadPlugin();
+  const days = Array.from({ length: 7 }, (_, i) => new Date(2025, 10, 16 + i));
+  const jotMap = new Map([['10-18', { uuid: 'abc123' }]]);
+
+  const md = plugin._createCalendarMarkdown(days, jotMap);
+
+  assert.equal(
+    md,
+    '|S|M|T|W|T|F|S|\n|-|-|-|-|-|-|-|\n' +
+      '|16|17|[18](https://www.amplenote.com/notes/abc123)|19|20|21|22|\n',
+  );
+});
+
+test('updateCalendarSection builds five weeks and creates missing jots from templates', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [
+      ...notes,
+      { name: 'November 26th, 2025', tags: ['daily-jots'], content: 'Existing jot' },
+      { name: 'Daily Jot template (work)', tags: ['system'], content: '# Work\n' },
+      { name: 'Daily Jot template (home)', tags: ['system'], content: '# Home\n' },
+    ],
+  });
+  const plugin = loadPlugin();
+
+  const result = await plugin.updateCalendarSection(app, uuid.inbox);
+
+  assert.deepEqual(result, { updated: true, count: 35 });
+  const calendar = sectionContent(app.getNote(uuid.inbox).content, 'Calendar');
+  const rows = calendar.split('\n');
+  assert.equal(rows.length, 7); // header, divider, 5 weeks
+  assert.ok(rows[2].startsWith('|[16]('), 'starts the Sunday before last');
+  assert.equal(linkedUUIDs(calendar).length, 35);
+
+  // The existing jot is reused rather than recreated
+  const existing = Array.from(app.store.values()).filter((n) => n.name === 'November 26th, 2025');
+  assert.equal(existing.length, 1);
+  assert.equal(existing[0].content, 'Existing jot');
+
+  // New jots get the weekday or weekend template
+  assert.equal(app.getNoteByName('November 24th, 2025').content, '# Work\n');
+  assert.equal(app.getNoteByName('November 29th, 2025').content, '# Home\n');
+  assert.deepEqual(app.getNoteByName('November 29th, 2025').tags, ['daily-jots']);
+});
+
+test('_createCalendarMarkdown bolds today and badges days with deadlines', () => {
+  freezeToday();
+  const plugin = loadPlugin();
+  const days = Array.from({ length: 7 }, (_, i) => new Date(2025, 10, 23 + i));
+  const deadlinesByDay = new Map([
+    ['2025-11-24', [{ content: 'Send invoice' }]],
+    ['2025-11-28', [{ content: 'Ship release' }, { content: 'File report' }]],
+  ]);
+
+  const md = plugin._createCalendarMarkdown(days, new Map(), deadlinesByDay);
+
+  assert.equal(md.split('\n')[2], '|23|24 ⚠️1|25|**26**|27|28 📅2|29|');
+});
+
+test('updateCalendarSection can list upcoming deadlines under the calendar', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const at = (day) => Math.floor(new Date(2025, 10, day, 17, 0, 0).getTime() / 1000);
+  const app = createFakeApp({
+    notes: [
+      ...notes,
+      {
+        name: 'Quarterly Report',
+        tags: ['project/active', 'd/work'],
+        tasks: [
+          { content: 'Send draft', deadline: at(28) },
+          { content: 'Book review meeting', deadline: at(20) },
+          { content: 'Archive old reports', deadline: at(60) },
+        ],
+      },
+    ],
+    settings: { calendarUpcomingDeadlines: 'true' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  await plugin.updateCalendarSection(app, uuid.inbox);
+
+  const calendar = sectionContent(app.getNote(uuid.inbox).content, 'Calendar');
+  assert.match(calendar, /\|\*\*\[26\]\([^)]+\)\*\*\|/);
+  assert.match(calendar, /\|\[20\]\([^)]+\) ⚠️1\|/);
+  assert.match(calendar, /\|\[28\]\([^)]+\) 📅1\|/);
+
+  const upcoming = calendar.split('**Upcoming Deadlines**\n')[1].split('\n');
+  assert.equal(upcoming.length, 2, 'deadlines past the last calendar day are left out');
+  assert.match(upcoming[0], /^- ⚠️ \(Nov 20, 2025\) Book review meeting — \[Quarterly Report\]/);
+  assert.match(upcoming[1], /^- \(Nov 28, 2025\) Send draft — \[Quarterly Report\]/);
+});
+
+test('with calendarFutureJots set to "text", future days without a jot are not created', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [...notes, { name: 'November 28th, 2025', tags: ['daily-jots'] }],
+    settings: { calendarFutureJots: 'text' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  await plugin.updateCalendarSection(app, uuid.inbox);
+
+  const calendar = sectionContent(app.getNote(uuid.inbox).content, 'Calendar');
+  assert.ok(app.getNoteByName('November 26th, 2025'), "today's jot is still created");
+  assert.equal(app.getNoteByName('November 27th, 2025'), null);
+  assert.match(calendar, /\|27\|\[28\]\([^)]+\)\|29\|/);
+});
+
+test('"create jot" links make the jot on demand and refresh the calendar', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [...notes, { name: 'Daily Jot template (home)', tags: ['system'], content: '# Home\n' }],
+    settings: { calendarFutureJots: 'link' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+  await plugin.updateCalendarSection(app, uuid.inbox);
+
+  const href = 'https://www.amplenote.com/notes/new?jot=2025-11-29';
+  assert.ok(app.getNote(uuid.inbox).content.includes(`[29](${href})`));
+  assert.equal(app.getNoteByName('November 29th, 2025'), null);
+
+  await plugin.linkOption['Create Daily Jot'].call(plugin, app, { href });
+
+  const jot = app.getNoteByName('November 29th, 2025');
+  assert.equal(jot.content, '# Home\n');
+  assert.equal(app.navigations.at(-1), `https://www.amplenote.com/notes/${jot.uuid}`);
+  assert.ok(
+    app.getNote(uuid.inbox).content.includes(`[29](https://www.amplenote.com/notes/${jot.uuid})`),
+  );
+});
+
+test('_parseCalendarView reads the view options from the Calendar heading', () => {
+  const plugin = loadPlugin();
+
+  assert.deepEqual(plugin._parseCalendarView('Calendar'), {
+    range: 'weeks',
+    weeks: 5,
+    weekStartsOn: 0,
+  });
+  assert.deepEqual(plugin._parseCalendarView('Calendar [8 weeks, monday]'), {
+    range: 'weeks',
+    weeks: 8,
+    weekStartsOn: 1,
+  });
+  assert.equal(plugin._parseCalendarView('calendar [quarter iso]').range, 'quarter');
+  assert.equal(plugin._parseCalendarView('Calendar [3w]').weeks, 3);
+  assert.equal(plugin._parseCalendarView('Calendar notes'), null);
+});
+
+test('a Calendar [month, monday] section shows the current month with Monday-first weeks', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes, settings: { calendarFutureJots: 'text' } });
+  app.getNote(uuid.inbox).content = '# Calendar [month, monday]\n';
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  const result = await plugin.updateCalendarSection(app, uuid.inbox);
+
+  assert.deepEqual(result, { updated: true, count: 30 });
+  const rows = sectionContent(app.getNote(uuid.inbox).content, 'Calendar [month, monday]').split(
+    '\n',
+  );
+  assert.equal(rows[0], '**November 2025**');
+  assert.equal(rows[1], '|M|T|W|T|F|S|S|');
+  // November 1st 2025 is a Saturday. Days before last week get no back-dated jot.
+  assert.equal(rows[3], '| | | | | |1|2|');
+  assert.equal(app.getNoteByName('November 1st, 2025'), null);
+  assert.match(rows[6], /^\|\[17\]\([^)]+\)\|/, 'jots are still created from last Monday');
+  // ...and the 30th a Sunday, closing the last Monday-first week
+  assert.match(rows.at(-1), /^\|\[24\].*\|29\|30\|$/);
+});
+
+test('quarter and rolling-week views can share a note', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes, settings: { calendarFutureJots: 'text' } });
+  app.getNote(uuid.inbox).content = '# Calendar [quarter]\n\n# Calendar [2 weeks, monday]\n';
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  const result = await plugin.updateCalendarSection(app, uuid.inbox);
+
+  assert.equal(result.count, 92 + 14);
+  const content = app.getNote(uuid.inbox).content;
+  const quarter = sectionContent(content, 'Calendar [quarter]');
+  assert.deepEqual(quarter.match(/\*\*[A-Za-z]+ 2025\*\*/g), [
+    '**October 2025**',
+    '**November 2025**',
+    '**December 2025**',
+  ]);
+  const weeks = sectionContent(content, 'Calendar [2 weeks, monday]').split('\n');
+  assert.equal(weeks.length, 4);
+  assert.match(weeks[2], /^\|\[17\]\(/, 'starts on the Monday of the week before');
+});
+
+test('_selectJotTemplate applies the first matching template rule', async () => {
+  const app = createFakeApp({
+    settings: {
+      holidays: '["12-25", "2025-11-27"]',
+      jotTemplateRules: JSON.stringify([
+        { when: 'holiday', template: 'Holiday' },
+        { when: 'date', dates: ['2025-12-24'], template: 'Christmas Eve' },
+        { when: 'first-workday', template: 'Month Start' },
+        { when: 'last-workday', template: 'Month End' },
+        { when: 'weekday', days: ['monday'], template: 'Monday Planning' },
+      ]),
+    },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+  const pick = (month, day) => plugin._selectJotTemplate(new Date(2025, month, day));
+
+  assert.equal(pick(11, 25), 'Holiday');
+  assert.equal(pick(10, 27), 'Holiday');
+  assert.equal(pick(11, 24), 'Christmas Eve');
+  assert.equal(pick(11, 1), 'Month Start'); // a Monday, but the earlier rule wins
+  assert.equal(pick(10, 28), 'Month End'); // Friday the 28th, with the 29th and 30th a weekend
+  assert.equal(pick(10, 17), 'Monday Planning');
+  assert.equal(pick(10, 19), 'Daily Jot template (work)');
+  assert.equal(pick(10, 22), 'Daily Jot template (home)');
+  assert.deepEqual(app.alerts, []);
+});
+
+test('loadSettings rejects malformed template rules', async () => {
+  const app = createFakeApp({
+    settings: { jotTemplateRules: '[{ "when": "weekday", "days": ["funday"], "template": "X" }]' },
+  });
+  const plugin = loadPlugin();
+
+  const settings = await plugin.loadSettings(app);
+
+  assert.deepEqual(settings.jotTemplateRules, []);
+  assert.match(app.alerts[0], /weekday rules need "days"/);
+});
+
+test('new jots expand date, weekday, neighbour links and tasks due that day', async () => {
+  freezeToday();
+  const dueAt = Math.floor(new Date(2025, 10, 28, 17, 0, 0).getTime() / 1000);
+  const app = createFakeApp({
+    notes: [
+      { name: 'November 27th, 2025', tags: ['daily-jots'] },
+      {
+        name: 'Quarterly Report',
+        tags: ['project/active'],
+        tasks: [{ content: 'Send draft', deadline: dueAt }],
+      },
+      {
+        name: 'Daily Jot template (work)',
+        tags: ['system'],
+        content:
+          '# {{weekday}}, {{date}}\n{{yesterday}} | {{tomorrow}}\n# Due today\n{{tasks_due}}\n{{other}}\n',
+      },
+    ],
+  });
+  const plugin = loadPlugin();
+
+  const jot = await plugin._getOrCreateDailyJot(app, new Date(2025, 10, 28));
+
+  const content = app.getNote(jot.uuid).content.split('\n');
+  const yesterday = app.getNoteByName('November 27th, 2025');
+  assert.equal(content[0], '# Friday, November 28th, 2025');
+  assert.equal(
+    content[1],
+    `[November 27th, 2025](https://www.amplenote.com/notes/${yesterday.uuid}) | ` +
+      '[November 29th, 2025](https://www.amplenote.com/notes/new?jot=2025-11-29)',
+  );
+  assert.match(content[3], /^- \(Nov 28, 2025\) Send draft — \[Quarterly Report\]/);
+  assert.equal(content[4], '{{other}}');
+});
+
+test('the jot name codec formats and parses other patterns and languages', () => {
+  const plugin = loadPlugin();
+  const date = new Date(2025, 10, 24);
+
+  const iso = plugin._jotNameCodec('YYYY-MM-DD', 'en-US');
+  assert.equal(iso.format(date), '2025-11-24');
+  assert.equal(iso.parse('2025-11-24').getTime(), date.getTime());
+
+  const german = plugin._jotNameCodec('dddd, D. MMMM YYYY', 'de-DE');
+  assert.equal(german.format(date), 'Montag, 24. November 2025');
+  assert.equal(german.parse('montag, 24. november 2025').getTime(), date.getTime());
+
+  const english = plugin._jotNameCodec('[Jot] ddd MMM Do YYYY', 'en-US');
+  assert.equal(english.format(date), 'Jot Mon Nov 24th 2025');
+  assert.equal(english.parse('Jot Mon Nov 24th 2025').getTime(), date.getTime());
+  assert.equal(english.parse('Jot Mon Nov 31st 2025'), null);
+});
+
+test('parseJotName falls back to the default pattern, titles with extra text and ISO dates', async () => {
+  const app = createFakeApp({
+    notes: [],
+    settings: { jotNamePattern: 'YYYY-MM-DD', jotNameLocale: 'en-US' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 24)), '2025-11-24');
+  assert.equal(plugin.parseJotName('2025-11-24').getDate(), 24);
+  assert.equal(plugin.parseJotName('November 24th, 2025').getDate(), 24);
+  assert.equal(plugin.parseJotName('November 24th, 2025 (offsite)').getDate(), 24);
+  assert.equal(plugin.parseJotName('Offsite planning'), null);
+});
+
+test('the calendar finds jots named with an older pattern instead of creating duplicates', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [...notes, { name: 'November 26th, 2025', tags: ['daily-jots'] }],
+    settings: { jotNamePattern: 'YYYY-MM-DD', calendarFutureJots: 'text' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  await plugin.updateCalendarSection(app, uuid.inbox);
+
+  const today = app.getNoteByName('November 26th, 2025');
+  assert.equal(app.getNoteByName('2025-11-26'), null);
+  assert.ok(app.getNoteByName('2025-11-25'), 'missing past jots use the new pattern');
+  const calendar = sectionContent(app.getNote(uuid.inbox).content, 'Calendar');
+  assert.ok(calendar.includes(`[26](https://www.amplenote.com/notes/${today.uuid})`));
+});
+
+test('Rename Daily Jots… renames existing jots and saves the new pattern', async () => {
+  const app = createFakeApp({
+    notes: [
+      { name: 'November 24th, 2025', tags: ['daily-jots'] },
+      { name: 'November 25th, 2025', tags: ['daily-jots'] },
+      { name: '2025-11-25', tags: ['project/active'] },
+      { name: 'Jot ideas', tags: ['daily-jots'] },
+    ],
+    promptResponses: [['YYYY-MM-DD', 'en-US']],
+  });
+  const plugin = loadPlugin();
+
+  await plugin.appOption['Rename Daily Jots…'].call(plugin, app);
+
+  assert.ok(app.getNoteByName('2025-11-24'));
+  assert.ok(app.getNoteByName('November 25th, 2025'), 'a jot whose new name is taken is kept');
+  assert.equal(app.settings.jotNamePattern, 'YYYY-MM-DD');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 24)), '2025-11-24');
+  assert.match(app.alerts.at(-1), /^✅ Renamed 1 daily jots to "YYYY-MM-DD"/);
+  assert.match(app.alerts.at(-1), /No date found in: Jot ideas/);
+  assert.match(app.alerts.at(-1), /new name is taken: November 25th, 2025/);
+});
+
+test('undoing Rename Daily Jots… restores the old names and the old pattern together', async () => {
+  const app = createFakeApp({
+    notes: [{ name: 'November 24th, 2025', tags: ['daily-jots'] }],
+    promptResponses: [['YYYY-MM-DD', 'en-US'], 'undo'],
+  });
+  const plugin = loadPlugin();
+
+  await plugin.appOption['Rename Daily Jots…'].call(plugin, app);
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.ok(app.getNoteByName('November 24th, 2025'));
+  assert.equal(app.settings.jotNamePattern, '');
+  assert.equal(plugin._formatJotName(new Date(2025, 10, 24)), 'November 24th, 2025');
+});
+
+test('month labels and {{weekday}} follow jotNameLocale', async () => {
+  freezeToday();
+  const app = createFakeApp({
+    notes: [{ name: 'Daily Jot template (work)', tags: ['system'], content: '# {{weekday}}\n' }],
+    settings: { jotNamePattern: 'D MMMM YYYY', jotNameLocale: 'fr-FR' },
+  });
+  const plugin = loadPlugin();
+  await plugin.loadSettings(app);
+
+  const [block] = plugin._getCalendarBlocks({ range: 'month', weeks: 5, weekStartsOn: 1 });
+  assert.equal(block.label, 'novembre 2025');
+  const jot = await plugin._getOrCreateDailyJot(app, new Date(2025, 10, 28));
+  assert.equal(jot.name, '28 novembre 2025');
+  assert.equal(app.getNote(jot.uuid).content, '# vendredi\n');
+});
+
+test('jot name codecs are cached per pattern and locale until settings reload', async () => {
+  const app = createFakeApp({ notes: [] });
+  const plugin = loadPlugin();
+
+  const codec = plugin._jotNameCodec('YYYY-MM-DD', 'en-US');
+  assert.equal(plugin._jotNameCodec('YYYY-MM-DD', 'en-US'), codec);
+  assert.notEqual(plugin._jotNameCodec('YYYY-MM-DD', 'de-DE'), codec);
+
+  await plugin.loadSettings(app);
+  assert.notEqual(plugin._jotNameCodec('YYYY-MM-DD', 'en-US'), codec);
+});
+
+test('templated jots made while building the calendar reuse its jot lookup', async () => {
+  freezeToday();
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [
+      ...notes,
+      {
+        name: 'Daily Jot template (work)',
+        tags: ['system'],
+        content: '{{yesterday}} | {{tomorrow}}\n',
+      },
+      {
+        name: 'Daily Jot template (home)',
+        tags: ['system'],
+        content: '{{yesterday}} | {{tomorrow}}\n',
+      },
+    ],
+  });
+  const plugin = loadPlugin();
+  const filterNotes = app.filterNotes;
+  let jotScans = 0;
+  app.filterNotes = (params) => {
+    if (params?.tag === 'daily-jots') jotScans++;
+    return filterNotes.call(app, params);
+  };
+
+  await plugin.updateCalendarSection(app, uuid.inbox);
+
+  assert.equal(jotScans, 1);
+  const monday = app.getNoteByName('November 24th, 2025');
+  const sunday = app.getNoteByName('November 23rd, 2025');
+  assert.ok(
+    monday.content.startsWith(
+      `[November 23rd, 2025](https://www.amplenote.com/notes/${sunday.uuid})`,
+    ),
+  );
+});
@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeApp, sectionContent } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { buildNotebook } from './fixtures/notebook.js';
+
+async function runCleanup(extraNotes = []) {
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes: [...notes, ...extraNotes] });
+  const plugin = loadPlugin();
+  const results = await plugin.taggingCleanup(app);
+  const byReason = new Map(results.map((g) => [g.reason, g.notes.map((n) => n.name).sort()]));
+  return { app, plugin, uuid, results, byReason };
+}
+
+test('taggingCleanup flags notes missing a critical tag', async () => {
+  const { byReason } = await runCleanup();
+
+  assert.deepEqual(byReason.get('Missing critical tag'), ['Loose idea']);
+});
+
+test('taggingCleanup names untitled notes', async () => {
+  const { app } = await runCleanup([{ name: '', tags: [] }]);
+
+  assert.ok(app.getNoteByName('Untitled Note'));
+});
+
+test('taggingCleanup flags active projects with no next action', async () => {
+  const { byReason } = await runCleanup([
+    {
+      name: 'Stalled Parent',
+      tags: ['project/active', 'note-id/20250101000020', 'r/child/20250101000021'],
+    },
+    {
+      name: 'Stalled Child',
+      tags: ['project/active', 'note-id/20250101000021', 'r/parent/20250101000020'],
+    },
+  ]);
+
+  assert.deepEqual(byReason.get('Active projects with no next action'), [
+    'Hire Designer',
+    'Stalled Child',
+  ]);
+  // Launch Website has no tasks of its own, but its child project does
+  assert.deepEqual(byReason.get('Parent projects whose child projects are all stalled'), [
+    'Stalled Parent',
+  ]);
+});
+
+test('taggingCleanup flags broken and mismatched parent/child links', async () => {
+  const { byReason } = await runCleanup([
+    { name: 'Orphan', tags: ['project/active', 'r/parent/19990101000000'] },
+    {
+      name: 'Person With Project Parent',
+      tags: ['reference/people/team', 'r/parent/20250101000001'],
+    },
+  ]);
+
+  assert.deepEqual(byReason.get('Child projects with no parent project'), ['Orphan']);
+  assert.ok(byReason.get('Mismatched parent/child note types').includes('Launch Website'));
+});
+
+test('taggingCleanup flags active projects that still depend on an open project', async () => {
+  const { byReason } = await runCleanup([
+    { name: 'Rebrand', tags: ['project/active', 'r/project/depends-on/20250101000001'] },
+    { name: 'Later Rebrand', tags: ['project/future', 'r/project/depends-on/20250101000001'] },
+    { name: 'Unblocked', tags: ['project/active', 'r/project/depends-on/20250101000099'] },
+  ]);
+
+  assert.deepEqual(byReason.get('Active projects still blocked by an open project'), ['Rebrand']);
+});
+
+test('taggingCleanup reports parent/child cycles', async () => {
+  const { byReason } = await runCleanup([
+    {
+      name: 'Loop A',
+      tags: ['project/active', 'note-id/20250101000040', 'r/parent/20250101000041'],
+    },
+    {
+      name: 'Loop B',
+      tags: ['project/active', 'note-id/20250101000041', 'r/parent/20250101000042'],
+    },
+    {
+      name: 'Loop C',
+      tags: ['project/active', 'note-id/20250101000042', 'r/parent/20250101000040'],
+    },
+  ]);
+
+  assert.deepEqual(byReason.get('Parent/child cycles'), ['Loop A', 'Loop B', 'Loop C']);
+});
+
+test('taggingCleanup writes the results to the Inbox and updates System Categories', async () => {
+  const { app, uuid } = await runCleanup();
+
+  const section = sectionContent(app.getNote(uuid.inbox).content, 'Tagging Cleanup');
+  assert.match(section, /^- Missing critical tag\n {4}- \[Loose idea\]/m);
+
+  const categories = JSON.parse(
+    app.getNote(uuid.categories).content.match(/```json\n([\s\S]*?)```/)[1],
+  );
+  assert.deepEqual(categories.people, ['team']);
+  assert.deepEqual(categories.domain, ['home', 'work']);
+});
+
+// One note per relationship defect checkRelationshipIntegrity looks for
+const brokenRelationships = [
+  // Fix Fence (20250101000005) has no r/child tag pointing back
+  {
+    name: 'Fence Paint',
+    tags: ['project/active', 'note-id/20250101000030', 'r/parent/20250101000005'],
+  },
+  { name: 'Dangling', tags: ['reference/people/team', 'r/people/19990101000000'] },
+  {
+    name: 'Two Ids',
+    tags: ['reference/people/team', 'note-id/20250101000040', 'note-id/20250101000041'],
+  },
+  // People-to-people links should be two-way
+  {
+    name: 'Carol',
+    tags: ['reference/people/team', 'note-id/20250101000042', 'r/people/20250101000041'],
+  },
+];
+
+test('checkRelationshipIntegrity reports each class of relationship defect', async () => {
+  const { notes } = buildNotebook();
+  const app = createFakeApp({ notes: [...notes, ...brokenRelationships] });
+  const plugin = loadPlugin();
+
+  const groups = await plugin.checkRelationshipIntegrity(app);
+  const byKind = new Map(groups.map((g) => [g.kind, g.issues.map((i) => i.note.name)]));
+
+  assert.deepEqual(
+    [...byKind.keys()],
+    ['duplicate-note-id', 'dangling', 'missing-reciprocal', 'one-way'],
+  );
+  assert.deepEqual(byKind.get('duplicate-note-id'), ['Two Ids']);
+  assert.deepEqual(byKind.get('dangling'), ['Dangling']);
+  assert.deepEqual(byKind.get('missing-reciprocal'), ['Fence Paint']);
+  assert.deepEqual(byKind.get('one-way'), ['Carol']);
+});
+
+test('taggingCleanup lists relationship defects alongside the other categories', async () => {
+  const { byReason } = await runCleanup(brokenRelationships);
+
+  assert.deepEqual(byReason.get('Relationship tags pointing at missing note-ids'), ['Dangling']);
+  assert.deepEqual(byReason.get('Parent/child tags missing on the other side'), ['Fence Paint']);
+});
+
+test('repairRelationshipIntegrity fixes every defect it finds', async () => {
+  const { notes, uuid } = buildNotebook();
+  const app = createFakeApp({ notes: [...notes, ...brokenRelationships] });
+  const plugin = loadPlugin();
+
+  const { repaired, removed } = await plugin.repairRelationshipIntegrity(app);
+
+  assert.equal(repaired, 4);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(await plugin.checkRelationshipIntegrity(app), []);
+  // The note-id Carol points at is the one kept
+  assert.deepEqual(
+    app.getNoteByName('Two Ids').tags.filter((t) => t.startsWith('note-id/')),
+    ['note-id/20250101000041'],
+  );
+  assert.ok(app.getNoteByName('Two Ids').tags.includes('r/people/20250101000042'));
+  assert.ok(app.getNote(uuid.homeProject).tags.includes('r/child/20250101000030'));
+  assert.ok(!app.getNoteByName('Dangling').tags.some((t) => t.startsWith('r/')));
+});
+
+test('links to archived notes are not dangling, and refused parent/child links are removed', async () => {
+  const { notes, uuid } = buildNotebook();
+  const app = createFakeApp({
+    notes: [
+      ...notes,
+      {
+        name: 'Old Phase',
+        tags: ['archive', 'project/completed/202401', 'note-id/20250101000050'],
+      },
+      {
+        name: 'Roadmap',
+        tags: ['project/active', 'note-id/20250101000051', 'r/project/20250101000050'],
+      },
+      // A person can't be a project's child, so this link can't be repaired
+      { name: 'Dora', tags: ['reference/people/team', 'r/parent/20250101000005'] },
+    ],
+  });
+  const plugin = loadPlugin();
+
+  const groups = await plugin.checkRelationshipIntegrity(app);
+  assert.ok(!groups.some((g) => g.kind === 'dangling'));
+
+  const { repaired, removed } = await plugin.repairRelationshipIntegrity(app);
+
+  assert.equal(repaired, 1, 'only the one-way link to the archived project is fixed');
+  assert.ok(app.getNoteByName('Roadmap').tags.includes('r/project/20250101000050'));
+  assert.equal(removed.length, 1);
+  assert.match(removed[0], /Cannot link Dora to Fix Fence: note types do not match/);
+  assert.ok(!app.getNoteByName('Dora').tags.some((t) => t.startsWith('r/')));
+  assert.ok(!app.getNote(uuid.homeProject).tags.some((t) => t.startsWith('r/child/')));
+  assert.deepEqual(await plugin.checkRelationshipIntegrity(app), []);
+});
+
+test('Repair Relationships lists removed links in its summary instead of alerting for each', async () => {
+  const { notes } = buildNotebook();
+  const app = createFakeApp({
+    notes: [
+      ...notes,
+      { name: 'Dora', tags: ['reference/people/team', 'r/parent/20250101000005'] },
+      { name: 'Evan', tags: ['reference/people/team', 'r/parent/20250101000001'] },
+    ],
+    promptResponses: ['repair'],
+  });
+  const plugin = loadPlugin();
+
+  await plugin.appOption['Repair Relationships'].call(plugin, app);
+
+  assert.equal(app.alerts.length, 1);
+  assert.match(app.alerts[0], /^✅ Repaired 0 relationship problems\./);
+  assert.match(app.alerts[0], /Removed 2 parent\/child links that couldn't be completed/);
+  assert.match(app.alerts[0], /• Cannot link Dora to Fix Fence/);
+  assert.match(app.alerts[0], /• Cannot link Evan to Launch Website/);
+});
@@ -0,0 +1,120 @@
+// Fixture notebook: a small work/home GTD setup with a project hierarchy, people, list notes,
+// system notes, and a daily jot. Returns fresh note data each call so tests can't leak state.
+
+import { fakeUUID, noteUrl } from '../helpers/fake-app.js';
+
+export function buildNotebook() {
+  const uuid = {
+    inbox: fakeUUID(),
+    categories: fakeUUID(),
+    parentProject: fakeUUID(),
+    childProject: fakeUUID(),
+    stalledProject: fakeUUID(),
+    onHoldProject: fakeUUID(),
+    homeProject: fakeUUID(),
+    alice: fakeUUID(),
+    bob: fakeUUID(),
+    projectList: fakeUUID(),
+    peopleList: fakeUUID(),
+    contextList: fakeUUID(),
+    looseNote: fakeUUID(),
+    jot: fakeUUID(),
+  };
+
+  const notes = [
+    {
+      uuid: uuid.inbox,
+      name: 'Inbox',
+      tags: ['system'],
+      content: '# Calendar\n\n# Tagging Cleanup\n',
+    },
+    {
+      uuid: uuid.categories,
+      name: 'System Categories',
+      tags: ['system'],
+      content: '```json\n{}\n```',
+    },
+    {
+      uuid: uuid.parentProject,
+      name: 'Launch Website',
+      tags: ['project/active', 'd/work', 'note-id/20250101000001', 'r/child/20250101000002'],
+      content:
+        '# Related People\n\n# Parent Notes\n\n# Child Notes\n\n# Related Tasks\n\n# Recent Updates\n',
+    },
+    {
+      uuid: uuid.childProject,
+      name: 'Write Copy',
+      tags: ['project/active', 'd/work', 'note-id/20250101000002', 'r/parent/20250101000001'],
+      tasks: [{ content: 'Draft the homepage copy @computer', score: 2 }],
+    },
+    {
+      uuid: uuid.stalledProject,
+      name: 'Hire Designer',
+      tags: ['project/focus', 'd/work', 'note-id/20250101000003', 'r/people/20250101000010'],
+    },
+    {
+      uuid: uuid.onHoldProject,
+      name: 'Office Move',
+      tags: ['project/on-hold', 'd/work', 'note-id/20250101000004'],
+      updated: '2024-06-01T12:00:00.000Z',
+      tasks: [{ content: 'Pick a moving company' }],
+    },
+    {
+      uuid: uuid.homeProject,
+      name: 'Fix Fence',
+      tags: ['project/active', 'd/home', 'note-id/20250101000005'],
+      tasks: [{ content: 'Call the contractor @calls', score: 1 }],
+    },
+    {
+      uuid: uuid.alice,
+      name: 'Alice',
+      tags: ['reference/people/team', 'd/work', 'note-id/20250101000010'],
+      content: '# Waiting For\n',
+    },
+    {
+      uuid: uuid.bob,
+      name: 'Bob',
+      tags: ['reference/people/team', 'd/work'],
+    },
+    {
+      uuid: uuid.projectList,
+      name: 'Work Projects',
+      tags: ['list/project', 'd/work'],
+      content: '# Active [active]\n\n# Stalled [stalled]\n',
+    },
+    {
+      uuid: uuid.peopleList,
+      name: 'Work People',
+      tags: ['list/people', 'd/work'],
+      content: '# Team [team]\n\n# Waiting [waiting]\n',
+    },
+    {
+      uuid: uuid.contextList,
+      name: 'Contexts',
+      tags: ['list/context'],
+      content: '# Calls [calls]\n\n# Computer [computer]\n',
+    },
+    {
+      uuid: uuid.looseNote,
+      name: 'Loose idea',
+      tags: [],
+    },
+    {
+      uuid: uuid.jot,
+      name: 'January 6th, 2025',
+      tags: ['daily-jots'],
+      content:
+        '# Work\n' +
+        `- [Launch Website](${noteUrl(uuid.parentProject)})\n` +
+        '    - Agreed on a launch date\n',
+      tasks: [
+        {
+          content: `Get logo files from [Alice](${noteUrl(uuid.alice)}) @waiting`,
+          startAt: Math.floor(Date.now() / 1000) - 3 * 24 * 60 * 60,
+        },
+      ],
+    },
+  ];
+
+  return { uuid, notes };
+}
@@ -0,0 +1,332 @@
+// In-memory fake of the parts of the Amplenote plugin API that gtd.js uses.
+//
+// Notes are plain objects: { uuid, name, tags, content, tasks, created, updated }. Tasks are
+// listed explicitly per note (rather than parsed from content) and get noteUUID filled in.
+// Prompts are answered from a queue of scripted responses; alerts and prompts are recorded so
+// tests can assert on them.
+
+const NOTE_URL_REGEX = /https:\/\/www\.amplenote\.com\/notes\/([a-f0-9-]+)/g;
+
+let uuidCounter = 0;
+
+// Amplenote uuids are hex, and gtd.js matches note links with [a-f0-9-]+
+export function fakeUUID() {
+  uuidCounter++;
+  return `00000000-0000-4000-8000-${uuidCounter.toString(16).padStart(12, '0')}`;
+}
+
+export function noteUrl(uuid) {
+  return `https://www.amplenote.com/notes/${uuid}`;
+}
+
+// Matches Amplenote's tag filtering, where a parent tag also matches its child tags
+function hasTag(note, tag) {
+  return note.tags.some((t) => t === tag || t.startsWith(`${tag}/`));
+}
+
+function matchesTagFilter(note, filter) {
+  return filter
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean)
+    .every((t) => (t.startsWith('^') ? !hasTag(note, t.slice(1)) : hasTag(note, t)));
+}
+
+// Splits markdown into sections the way getNoteSections reports them. The first section is the
+// content before any heading (heading: null).
+function parseSections(content) {
+  const lines = content.split('\n');
+  const sections = [{ heading: null, start: 0, level: 0 }];
+  const counts = new Map();
+
+  lines.forEach((line, i) => {
+    const match = line.match(/^(#{1,6})\s+(.*?)\s*$/);
+    if (!match) return;
+    const text = match[2];
+    const index = counts.get(text) || 0;
+    counts.set(text, index + 1);
+    sections.push({
+      heading: { text, level: match[1].length, index },
+      start: i,
+      level: match[1].length,
+    });
+  });
+
+  return { lines, sections };
+}
+
+export function createFakeApp({ notes = [], settings = {}, promptResponses = [] } = {}) {
+  const store = new Map();
+  let clock = Date.parse('2025-01-01T00:00:00Z');
+  const touch = (note) => {
+    clock += 1000;
+    note.updated = new Date(clock).toISOString();
+  };
+
+  const addNote = (data) => {
+    const note = {
+      uuid: data.uuid || fakeUUID(),
+      name: data.name || '',
+      tags: [...(data.tags || [])],
+      content: data.content || '',
+      tasks: [],
+      created: data.created || '2025-01-01T12:00:00.000Z',
+      updated: data.updated || '2025-01-01T12:00:00.000Z',
+    };
+    note.tasks = (data.tasks || []).map((task) => ({
+      uuid: task.uuid || fakeUUID(),
+      score: 0,
+      ...task,
+      noteUUID: note.uuid,
+    }));
+    store.set(note.uuid, note);
+    return note;
+  };
+  notes.forEach(addNote);
+
+  const resolve = (noteOrUUID) => {
+    const uuid = typeof noteOrUUID === 'string' ? noteOrUUID : noteOrUUID?.uuid;
+    return store.get(uuid) || null;
+  };
+
+  // Handles are snapshots, like the objects Amplenote hands plugins
+  const handle = (note) => ({
+    uuid: note.uuid,
+    name: note.name,
+    tags: [...note.tags],
+    created: note.created,
+    updated: note.updated,
+  });
+
+  const openTasks = (note) => note.tasks.filter((t) => !t.completedAt && !t.dismissedAt);
+
+  const backlinkSources = (target) =>
+    Array.from(store.values()).filter(
+      (n) => n.uuid !== target.uuid && n.content.includes(noteUrl(target.uuid)),
+    );
+
+  // Wraps a stored note in the Note interface returned by app.notes.find
+  const noteObject = (note) => ({
+    ...handle(note),
+    addTag: async (tag) => app.addNoteTag(note, tag),
+    removeTag: async (tag) => app.removeNoteTag(note, tag),
+    tasks: async () => openTasks(note).map((t) => ({ ...t })),
+    content: async () => note.content,
+    backlinks: async () => backlinkSources(note).map(handle),
+  });
+
+  const app = {
+    settings: { ...settings },
+    alerts: [],
+    prompts: [],
+    navigations: [],
+    promptResponses: [...promptResponses],
+
+    // === Test helpers (not part of the Amplenote API) ===
+    store,
+    addNote,
+    getNote: (uuid) => store.get(uuid),
+    getNoteByName: (name) => Array.from(store.values()).find((n) => n.name === name) || null,
+
+    // === Amplenote API ===
+    setSetting: async (name, value) => {
+      app.settings[name] = value;
+    },
+
+    alert: async (message) => {
+      app.alerts.push(message);
+      return null;
+    },
+
+    prompt: async (title, options = {}) => {
+      app.prompts.push({ title, options });
+      if (app.promptResponses.length === 0) return null;
+      const response = app.promptResponses.shift();
+      return typeof response === 'function' ? response(title, options) : response;
+    },
+
+    navigate: async (url) => {
+      app.navigations.push(url);
+      return true;
+    },
+
+    filterNotes: async ({ tag = '', group = '', query = '' } = {}) =>
+      Array.from(store.values())
+        .filter((n) => !tag || matchesTagFilter(n, tag))
+        .filter((n) => group !== 'untagged' || n.tags.length === 0)
+        .filter((n) => !query || n.name.includes(query))
+        .map(handle),
+
+    findNote: async ({ uuid, name }) => {
+      const note = uuid ? store.get(uuid) : Array.from(store.values()).find((n) => n.name === name);
+      return note ? handle(note) : null;
+    },
+
+    notes: {
+      find: async (noteOrUUID) => {
+        const note = resolve(noteOrUUID);
+        return note ? noteObject(note) : null;
+      },
+    },
+
+    createNote: async (name, tags = []) => {
+      const note = addNote({ name, tags });
+      touch(note);
+      return note.uuid;
+    },
+
+    setNoteName: async (noteOrUUID, name) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return false;
+      note.name = name;
+      touch(note);
+      return true;
+    },
+
+    addNoteTag: async (noteOrUUID, tag) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return false;
+      if (!note.tags.includes(tag)) note.tags.push(tag);
+      touch(note);
+      return true;
+    },
+
+    removeNoteTag: async (noteOrUUID, tag) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return false;
+      note.tags = note.tags.filter((t) => t !== tag);
+      touch(note);
+      return true;
+    },
+
+    getNoteContent: async (noteOrUUID) => resolve(noteOrUUID)?.content ?? null,
+
+    getNoteSections: async (noteOrUUID) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return [];
+      return parseSections(note.content).sections.map((s) => ({ heading: s.heading }));
+    },
+
+    replaceNoteContent: async (noteOrUUID, content, options = {}) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return false;
+
+      const heading = options.section?.heading;
+      if (!heading) {
+        note.content = content;
+        touch(note);
+        return true;
+      }
+
+      const { lines, sections } = parseSections(note.content);
+      const index = sections.findIndex(
+        (s) =>
+          s.heading &&
+          s.heading.text === heading.text &&
+          (heading.index === undefined || s.heading.index === heading.index),
+      );
+      if (index < 0) return false;
+
+      const section = sections[index];
+      const next = sections.slice(index + 1).find((s) => s.level <= section.level);
+      const end = next ? next.start : lines.length;
+
+      note.content = [
+        ...lines.slice(0, section.start + 1),
+        ...content.split('\n'),
+        ...lines.slice(end),
+      ].join('\n');
+      touch(note);
+      return true;
+    },
+
+    insertNoteContent: async (noteOrUUID, content, { atEnd = false } = {}) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return false;
+      note.content = atEnd ? `${note.content}\n${content}` : `${content}\n${note.content}`;
+      touch(note);
+      return true;
+    },
+
+    getNoteTasks: async (noteOrUUID) => {
+      const note = resolve(noteOrUUID);
+      return note ? openTasks(note).map((t) => ({ ...t })) : [];
+    },
+
+    getTask: async (taskUUID) => {
+      for (const note of store.values()) {
+        const task = note.tasks.find((t) => t.uuid === taskUUID);
+        if (task) return { ...task };
+      }
+      return null;
+    },
+
+    updateTask: async (taskUUID, properties) => {
+      for (const note of store.values()) {
+        const task = note.tasks.find((t) => t.uuid === taskUUID);
+        if (!task) continue;
+        Object.assign(task, properties);
+        touch(note);
+        return true;
+      }
+      return false;
+    },
+
+    insertTask: async (noteOrUUID, task) => {
+      const note = resolve(noteOrUUID);
+      if (!note) return null;
+      const inserted = { uuid: fakeUUID(), score: 0, ...task, noteUUID: note.uuid };
+      note.tasks.push(inserted);
+      touch(note);
+      return inserted.uuid;
+    },
+
+    getNoteBacklinks: async (noteOrUUID) => {
+      const note = resolve(noteOrUUID);
+      return note ? backlinkSources(note).map(handle) : [];
+    },
+
+    // Returns each bullet in the source that links to the target, with its indented children
+    getNoteBacklinkContents: async (targetOrUUID, sourceOrUUID) => {
+      const target = resolve(targetOrUUID);
+      const source = resolve(sourceOrUUID);
+      if (!target || !source) return [];
+
+      const lines = source.content.split('\n');
+      const indentOf = (line) => line.match(/^\s*/)[0].length;
+      const contents = [];
+
+      lines.forEach((line, i) => {
+        if (!line.includes(noteUrl(target.uuid))) return;
+        const block = [line];
+        for (let j = i + 1; j < lines.length; j++) {
+          if (lines[j].trim() !== '' && indentOf(lines[j]) <= indentOf(line)) break;
+          block.push(lines[j]);
+        }
+        contents.push(block.join('\n').trimEnd());
+      });
+
+      return contents;
+    },
+  };
+
+  return app;
+}
+
+// Returns every note link in a piece of markdown, in order
+export function linkedUUIDs(markdown) {
+  return Array.from(markdown.matchAll(NOTE_URL_REGEX), (m) => m[1]);
+}
+
+// Returns the body of a section (without its heading) from a note's markdown
+export function sectionContent(content, headingText) {
+  const { lines, sections } = parseSections(content);
+  const index = sections.findIndex((s) => s.heading?.text === headingText);
+  if (index < 0) return null;
+  const section = sections[index];
+  const next = sections.slice(index + 1).find((s) => s.level <= section.level);
+  return lines
+    .slice(section.start + 1, next ? next.start : lines.length)
+    .join('\n')
+    .trim();
+}
@@ -0,0 +1,11 @@
+// Loads a fresh copy of the plugin object from gtd.js. The file is a single expression (the
+// format Amplenote expects), so evaluating it returns the plugin.
+
+import { readFileSync } from 'node:fs';
+import { runInThisContext } from 'node:vm';
+
+const source = readFileSync(new URL('../../gtd.js', import.meta.url), 'utf8');
+
+export function loadPlugin() {
+  return runInThisContext(source, { filename: 'gtd.js' });
+}
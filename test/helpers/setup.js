@@ -0,0 +1,13 @@
+// Shared starting point for tests that run against the fixture notebook: a fake app holding
+// a fresh copy of it, answering prompts from `promptResponses`, and a freshly loaded plugin.
+
+import { createFakeApp } from './fake-app.js';
+import { loadPlugin } from './load-plugin.js';
+import { buildNotebook } from '../fixtures/notebook.js';
+
+export function setup(promptResponses = []) {
+  const { uuid, notes } = buildNotebook();
+  const app = createFakeApp({ notes, promptResponses });
+  const plugin = loadPlugin();
+  return { app, plugin, uuid };
+}
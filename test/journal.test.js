@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sectionContent } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { setup } from './helpers/setup.js';
+
+// Answers the "Set tags" prompt with only the project status filled in
+const chooseStatus =
+  (status) =>
+  (_title, { inputs }) => [
+    ...inputs.map((input) => (input.label === 'Project Status' ? status : '')),
+    'done',
+  ];
+
+test('undo restores every tag removed by Clear Tags', async () => {
+  const { app, plugin, uuid } = setup(['all', 'undo']);
+  const tagsBefore = [...app.getNote(uuid.parentProject).tags];
+
+  await plugin.noteOption['Clear Tags'].call(plugin, app, uuid.parentProject);
+  assert.deepEqual(app.getNote(uuid.parentProject).tags, []);
+
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.deepEqual([...app.getNote(uuid.parentProject).tags].sort(), tagsBefore.sort());
+  assert.match(app.alerts.at(-1), /Undid "Clear Tags"/);
+});
+
+test('undo rolls back a status swap made in Update Tags', async () => {
+  const { app, plugin, uuid } = setup([chooseStatus('project/on-hold'), 'undo']);
+
+  await plugin.noteOption['Update Tags'].call(plugin, app, uuid.stalledProject);
+  assert.ok(app.getNote(uuid.stalledProject).tags.includes('project/on-hold'));
+
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  const tags = app.getNote(uuid.stalledProject).tags;
+  assert.ok(tags.includes('project/focus'));
+  assert.ok(!tags.includes('project/on-hold'));
+});
+
+test('undo restores the sections rewritten by Update All Lists', async () => {
+  const { app, plugin, uuid } = setup(['undo']);
+
+  await plugin.appOption['Update All Lists'].call(plugin, app);
+  assert.match(sectionContent(app.getNote(uuid.projectList).content, 'Active [active]'), /Launch/);
+
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.equal(sectionContent(app.getNote(uuid.projectList).content, 'Active [active]'), '');
+  assert.equal(sectionContent(app.getNote(uuid.peopleList).content, 'Team [team]'), '');
+  assert.deepEqual(await plugin.loadJournal(app), []);
+});
+
+test('undo only rolls back the most recent operation', async () => {
+  const { app, plugin, uuid } = setup(['all', 'all', 'undo']);
+
+  await plugin.noteOption['Clear Tags'].call(plugin, app, uuid.alice);
+  await plugin.noteOption['Clear Tags'].call(plugin, app, uuid.bob);
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.deepEqual(app.getNote(uuid.alice).tags, []);
+  assert.ok(app.getNote(uuid.bob).tags.includes('reference/people/team'));
+  assert.equal((await plugin.loadJournal(app)).length, 1);
+});
+
+test('undo with an empty journal says there is nothing to undo', async () => {
+  const { app, plugin } = setup([]);
+
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.equal(app.alerts.at(-1), '⚠️ There is no GTD operation to undo.');
+  assert.equal(app.prompts.length, 0);
+});
+
+test('undo restores section text exactly, blank lines included', async () => {
+  const { app, plugin, uuid } = setup(['undo']);
+  const note = app.getNote(uuid.parentProject);
+  note.content = note.content.replace('# Related People\n', '# Related People\n  \n\n');
+  const before = note.content;
+
+  await plugin.appOption['Update All Lists'].call(plugin, app);
+  assert.notEqual(app.getNote(uuid.parentProject).content, before);
+
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.equal(app.getNote(uuid.parentProject).content, before);
+});
+
+test('the journal drops its oldest entries once it grows past the size cap', () => {
+  const plugin = loadPlugin();
+  plugin._journalMaxChars = 300;
+  const entry = (title, size) => ({ title, changes: [{ before: 'x'.repeat(size) }] });
+
+  const kept = plugin.rotateJournal([entry('old', 100), entry('mid', 100), entry('new', 100)]);
+  assert.deepEqual(
+    kept.map((e) => e.title),
+    ['mid', 'new'],
+  );
+
+  assert.deepEqual(plugin.rotateJournal([entry('old', 10), entry('huge', 400)]), []);
+});
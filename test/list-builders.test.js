@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { linkedUUIDs, sectionContent } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { setup } from './helpers/setup.js';
+
+test('buildNestedProjectList nests child projects under their parent', async () => {
+  const { app, plugin, uuid } = setup();
+  const projects = await plugin.getFilteredNotes(app, 'project/active', ['d/work']);
+
+  const md = await plugin.buildNestedProjectList(app, {
+    baseNotes: projects,
+    groupByStatus: 'flat',
+  });
+
+  const lines = md.split('\n');
+  assert.equal(lines.length, 2);
+  assert.ok(lines[0].startsWith('- [Launch Website]'));
+  assert.ok(lines[1].startsWith('    - [Write Copy]'));
+  assert.deepEqual(linkedUUIDs(md), [uuid.parentProject, uuid.childProject]);
+});
+
+test('buildNestedProjectList groups by status and labels completed dates', async () => {
+  const { app, plugin } = setup();
+  app.getNote(app.getNoteByName('Office Move').uuid).tags = [
+    'project/completed/202503',
+    'note-id/20250101000004',
+  ];
+  const projects = await plugin.getFilteredNotes(app, 'project');
+
+  const md = await plugin.buildNestedProjectList(app, { baseNotes: projects });
+
+  assert.match(md, /^- Focus Projects$/m);
+  assert.match(md, /^- Active Projects$/m);
+  assert.match(md, /^- Completed Projects\n {4}- \[Office Move\]\([^)]+\) \(Mar 2025\)$/m);
+});
+
+test('a child with two parents is listed under both and marked as shared', async () => {
+  const { app, plugin, uuid } = setup();
+  const marketing = app.addNote({
+    name: 'Marketing Push',
+    tags: ['project/active', 'd/work', 'note-id/20250101000030', 'r/child/20250101000002'],
+  });
+  app.getNote(uuid.childProject).tags.push('r/parent/20250101000030');
+
+  const flat = await plugin.buildNestedProjectList(app, {
+    baseNotes: await plugin.getFilteredNotes(app, 'project/active', ['d/work']),
+    groupByStatus: 'flat',
+    sortCompletedByDate: false,
+  });
+  assert.deepEqual(linkedUUIDs(flat), [
+    uuid.parentProject,
+    uuid.childProject,
+    marketing.uuid,
+    marketing.uuid,
+    uuid.childProject,
+    uuid.parentProject,
+  ]);
+  assert.match(flat, /^ {4}- \[Write Copy\]\([^)]+\) _\(shared — also under \[Marketing Push\]/m);
+
+  // Listing just the child still brings in every tree it hangs from
+  const full = await plugin.buildNestedProjectList(app, {
+    baseNotes: [app.getNote(uuid.childProject)],
+  });
+  assert.match(full, /^ {4}- \[Launch Website\]/m);
+  assert.match(full, /^ {4}- \[Marketing Push\]/m);
+});
+
+test('nested lists stop at a parent/child cycle', async () => {
+  const { app, plugin, uuid } = setup();
+  app.getNote(uuid.parentProject).tags.push('r/parent/20250101000002');
+  app.getNote(uuid.childProject).tags.push('r/child/20250101000001');
+
+  const md = await plugin.buildNestedProjectList(app, {
+    baseNotes: [app.getNote(uuid.childProject)],
+  });
+
+  assert.equal((md.match(/\[Write Copy\]/g) || []).length, 1);
+  assert.equal((md.match(/\[Launch Website\]/g) || []).length, 1);
+});
+
+test('updateBracketedSections fills [active] and the virtual [stalled] bracket', async () => {
+  const { app, plugin, uuid } = setup();
+  const list = await app.notes.find(uuid.projectList);
+
+  const summary = await plugin.updateBracketedSections(app, list, 'list/project', ['d/work']);
+
+  assert.equal(summary.updatedSections, 2);
+  const content = app.getNote(uuid.projectList).content;
+  assert.deepEqual(linkedUUIDs(sectionContent(content, 'Active [active]')), [
+    uuid.parentProject,
+    uuid.childProject,
+  ]);
+  // Fix Fence is active too, but it's in the home domain
+  assert.deepEqual(linkedUUIDs(sectionContent(content, 'Stalled [stalled]')), [
+    uuid.stalledProject,
+  ]);
+});
+
+test('updateBracketedSections renders list/context headings as task lists', async () => {
+  const { app, plugin, uuid } = setup();
+  const list = await app.notes.find(uuid.contextList);
+
+  await plugin.updateBracketedSections(app, list, 'list/context');
+
+  const content = app.getNote(uuid.contextList).content;
+  const calls = sectionContent(content, 'Calls [calls]');
+  assert.match(calls, /^- Call the contractor @calls — \[Fix Fence\]/);
+  const computer = sectionContent(content, 'Computer [computer]');
+  assert.match(computer, /^- Draft the homepage copy @computer — \[Write Copy\]/);
+});
+
+test('waiting-for tasks show on the person and in the [waiting] bracket', async () => {
+  const { app, plugin, uuid } = setup();
+
+  await plugin.updateWaitingForSection(app, uuid.alice);
+  const waitingFor = sectionContent(app.getNote(uuid.alice).content, 'Waiting For');
+  assert.match(
+    waitingFor,
+    /^- Get logo files from .* @waiting _\(3 days\)_ — \[January 6th, 2025\]/,
+  );
+
+  const list = await app.notes.find(uuid.peopleList);
+  await plugin.updateBracketedSections(app, list, 'list/people', ['d/work']);
+  const waiting = sectionContent(app.getNote(uuid.peopleList).content, 'Waiting [waiting]');
+  assert.match(waiting, /^- \[Alice\]\([^)]+\)\n {4}- Get logo files/);
+});
+
+test('taskAgeInDays ignores future start dates and falls back to the note', () => {
+  const plugin = loadPlugin();
+  const day = 24 * 60 * 60 * 1000;
+  const note = { created: new Date(Date.now() - 5 * day).toISOString() };
+
+  assert.equal(plugin.taskAgeInDays({ startAt: (Date.now() - 2 * day) / 1000 }, note), 2);
+  assert.equal(plugin.taskAgeInDays({ startAt: (Date.now() + 3 * day) / 1000 }, note), 5);
+  assert.equal(plugin.taskAgeInDays({ startAt: (Date.now() + 3 * day) / 1000 }, {}), null);
+});
+
+test('updateAllRelatedSections refreshes only the sections a note has', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const summary = await plugin.updateAllRelatedSections(app, uuid.parentProject, ['d/work']);
+
+  assert.equal(summary.updatedSections, 5);
+  const content = app.getNote(uuid.parentProject).content;
+  assert.equal(sectionContent(content, 'Related People'), '_(No related people)_');
+  assert.equal(sectionContent(content, 'Parent Notes'), '_(No parent notes)_');
+  assert.deepEqual(linkedUUIDs(sectionContent(content, 'Child Notes')), [uuid.childProject]);
+  assert.match(sectionContent(content, 'Recent Updates'), /Agreed on a launch date/);
+});
+
+test('Blocked By and Blocks sections follow a dependency tagged on either side', async () => {
+  const { app, plugin, uuid } = setup();
+  const designer = app.getNote(uuid.stalledProject);
+  designer.tags.push('r/project/depends-on/20250101000001');
+  designer.content = '# Blocked By\n\n# Blocks\n';
+  app.getNote(uuid.parentProject).content += '\n# Blocks\n';
+
+  await plugin.updateAllRelatedSections(app, uuid.stalledProject);
+  await plugin.updateAllRelatedSections(app, uuid.parentProject);
+
+  assert.match(
+    sectionContent(designer.content, 'Blocked By'),
+    /^- \[Launch Website\]\([^)]+\) _\(active\)_$/,
+  );
+  assert.equal(sectionContent(designer.content, 'Blocks'), '_(Not blocking any project)_');
+  assert.deepEqual(linkedUUIDs(sectionContent(app.getNote(uuid.parentProject).content, 'Blocks')), [
+    uuid.stalledProject,
+  ]);
+});
+
+test('the virtual [blocked] bracket lists projects waiting on an open project', async () => {
+  const { app, plugin, uuid } = setup();
+  app.getNote(uuid.stalledProject).tags.push('r/project/depends-on/20250101000001');
+  app.getNote(uuid.onHoldProject).tags.push('r/project/depends-on/20250101000002');
+  app.getNote(uuid.childProject).tags[0] = 'project/completed/202501';
+  app.getNote(uuid.projectList).content += '\n# Blocked [blocked]\n';
+  const list = await app.notes.find(uuid.projectList);
+
+  await plugin.updateBracketedSections(app, list, 'list/project', ['d/work']);
+
+  // Office Move depends on Write Copy, which is already completed
+  const blocked = sectionContent(app.getNote(uuid.projectList).content, 'Blocked [blocked]');
+  assert.deepEqual(linkedUUIDs(blocked), [uuid.stalledProject, uuid.parentProject]);
+  assert.match(blocked, /^- \[Hire Designer\].* _\(blocked by \[Launch Website\]/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setup } from './helpers/setup.js';
+
+// Everything except the plugin's own system notes, which previews are allowed to write
+function userNotes(app) {
+  return Array.from(app.store.values())
+    .filter((n) => n.name !== 'System Cache' && n.name !== 'GTD Preview')
+    .map((n) => ({ uuid: n.uuid, name: n.name, tags: [...n.tags], content: n.content }));
+}
+
+test('previewing Update All Lists writes a diff report and changes nothing when cancelled', async () => {
+  const { app, plugin } = setup(['cancel']);
+  const before = userNotes(app);
+
+  const result = await plugin.runWithPreview(app, 'Update All Lists', (targetApp) =>
+    plugin.updateAllLists(targetApp),
+  );
+
+  assert.equal(result, null);
+  assert.deepEqual(userNotes(app), before);
+
+  const report = app.getNoteByName('GTD Preview');
+  assert.ok(report);
+  assert.deepEqual(report.tags, ['system', 'exclude']);
+  assert.match(report.content, /# \[Work Projects\]/);
+  assert.match(report.content, /```diff\n\+ - \[Launch Website\]/);
+  assert.equal(app.prompts.length, 1);
+});
+
+test('applying a preview runs the operation against the real notebook', async () => {
+  const { app, plugin, uuid } = setup(['apply']);
+
+  const summary = await plugin.runWithPreview(app, 'Update All Lists', (targetApp) =>
+    plugin.updateAllLists(targetApp),
+  );
+
+  assert.ok(summary.listNotes > 0);
+  assert.match(app.getNote(uuid.projectList).content, /Launch Website/);
+  assert.equal(app.alerts.at(-1), '✅ Update All Lists applied.');
+});
+
+test('previewing Tagging Cleanup records created notes and renames without applying them', async () => {
+  const { app, plugin } = setup(['cancel']);
+  app.addNote({ name: '', tags: [] });
+  const before = userNotes(app);
+
+  await plugin.runWithPreview(app, 'Tagging Cleanup', (targetApp) =>
+    plugin.taggingCleanup(targetApp),
+  );
+
+  assert.deepEqual(userNotes(app), before);
+  const report = app.getNoteByName('GTD Preview').content;
+  assert.match(report, /Rename to "Untitled Note"/);
+  assert.match(report, /## Tagging Cleanup\n```diff\n[\s\S]*\+ - Missing critical tag/);
+});
+
+test('previews list the tasks an operation would add, complete or dismiss', async () => {
+  const { app, plugin, uuid } = setup([['move', null], 'cancel']);
+
+  await plugin.runWithPreview(app, 'Close Project', async (targetApp) =>
+    plugin.closeProject(
+      targetApp,
+      await targetApp.notes.find(uuid.homeProject),
+      'project/canceled',
+    ),
+  );
+
+  assert.deepEqual(
+    app.getNote(uuid.homeProject).tasks.map((t) => [t.content, t.dismissedAt]),
+    [['Call the contractor @calls', undefined]],
+  );
+  assert.deepEqual(app.getNote(uuid.inbox).tasks, []);
+
+  const report = app.getNoteByName('GTD Preview').content;
+  assert.match(report, /- Task changes: 2\n/);
+  assert.match(report, /# \[Inbox\]\([^)]+\)\n- Add task: Call the contractor @calls\n/);
+  assert.match(
+    report,
+    /# \[Fix Fence\]\([^)]+\)\n[\s\S]*- Dismiss task: Call the contractor @calls/,
+  );
+  assert.match(app.prompts.at(-1).options.inputs[0].label, /2 tasks in/);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sectionContent } from './helpers/fake-app.js';
+import { setup } from './helpers/setup.js';
+
+const now = new Date();
+const monthStamp = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+test('completing a project in Update Tags runs the close-out workflow', async () => {
+  const chooseCompleted = (_title, { inputs }) => [
+    ...inputs.map((input) => (input.label === 'Project Status' ? 'project/completed' : '')),
+    'done',
+  ];
+  const { app, plugin, uuid } = setup([chooseCompleted, ['promote', null]]);
+
+  await plugin.noteOption['Update Tags'].call(plugin, app, uuid.parentProject);
+
+  assert.ok(app.getNote(uuid.parentProject).tags.includes(`project/completed/${monthStamp}`));
+  // The child project was promoted, so neither side of the relationship is left
+  assert.ok(!app.getNote(uuid.childProject).tags.some((t) => t.startsWith('r/parent/')));
+  assert.ok(!app.getNote(uuid.parentProject).tags.some((t) => t.startsWith('r/child/')));
+});
+
+test('closeProject completes open tasks and logs the completion under the parent', async () => {
+  const { app, plugin, uuid } = setup([['complete', null]]);
+  const note = await app.notes.find(uuid.childProject);
+
+  const closed = await plugin.closeProject(app, note, 'project/completed');
+
+  assert.equal(closed, true);
+  assert.ok(app.getNote(uuid.childProject).tasks.every((t) => t.completedAt));
+  assert.ok(app.getNote(uuid.childProject).tags.includes(`project/completed/${monthStamp}`));
+
+  const recent = sectionContent(app.getNote(uuid.parentProject).content, 'Recent Updates');
+  assert.match(recent, /✅ Completed \[Write Copy\]/);
+});
+
+test('canceling a project can move its open tasks to the Inbox', async () => {
+  const { app, plugin, uuid } = setup([['move', null]]);
+  const note = await app.notes.find(uuid.homeProject);
+
+  await plugin.closeProject(app, note, 'project/canceled');
+
+  const [original] = app.getNote(uuid.homeProject).tasks;
+  assert.ok(original.dismissedAt);
+  assert.deepEqual(
+    app.getNote(uuid.inbox).tasks.map((t) => t.content),
+    ['Call the contractor @calls'],
+  );
+  assert.ok(app.getNote(uuid.homeProject).tags.includes(`project/canceled/${monthStamp}`));
+});
+
+test('undoing a close removes the task copies it moved to the Inbox', async () => {
+  const { app, plugin, uuid } = setup([['move', null], 'undo']);
+
+  await plugin.runJournaled(app, 'Close Project', async (journalApp) =>
+    plugin.closeProject(
+      journalApp,
+      await journalApp.notes.find(uuid.homeProject),
+      'project/canceled',
+    ),
+  );
+  await plugin.appOption['Undo Last GTD Operation'].call(plugin, app);
+
+  assert.deepEqual(await app.getNoteTasks(uuid.inbox), []);
+  assert.deepEqual(
+    (await app.getNoteTasks(uuid.homeProject)).map((t) => t.content),
+    ['Call the contractor @calls'],
+  );
+});
+
+test('closeProject cascades to child projects the user chooses to close', async () => {
+  const { app, plugin, uuid } = setup([
+    ['close', null],
+    ['leave', null],
+  ]);
+  const note = await app.notes.find(uuid.parentProject);
+
+  await plugin.closeProject(app, note, 'project/completed');
+
+  const child = app.getNote(uuid.childProject);
+  assert.ok(child.tags.includes(`project/completed/${monthStamp}`));
+  assert.ok(child.tags.includes('r/parent/20250101000001'));
+  assert.ok(child.tasks.every((t) => !t.completedAt));
+});
+
+test('cancelling the task prompt leaves the project status unchanged', async () => {
+  const { app, plugin, uuid } = setup([null]);
+  const note = await app.notes.find(uuid.homeProject);
+
+  const closed = await plugin.closeProject(app, note, 'project/completed');
+
+  assert.equal(closed, false);
+  assert.ok(app.getNote(uuid.homeProject).tags.includes('project/active'));
+});
+
+test('cancelling the child project prompt leaves the open tasks untouched', async () => {
+  const { app, plugin, uuid } = setup([['complete', null], null]);
+  await app.insertTask({ uuid: uuid.parentProject }, { content: 'Book the launch party' });
+  const note = await app.notes.find(uuid.parentProject);
+
+  const closed = await plugin.closeProject(app, note, 'project/completed');
+
+  assert.equal(closed, false);
+  const parent = app.getNote(uuid.parentProject);
+  assert.ok(parent.tags.includes('project/active'));
+  assert.ok(parent.tasks.every((t) => !t.completedAt));
+  assert.ok(app.getNote(uuid.childProject).tags.includes('project/active'));
+});
+
+test('completing a project in the weekly review runs the close-out workflow', async () => {
+  const noChange = (_title, { inputs }) => inputs.map(() => '');
+  const completeOfficeMove = (_title, { inputs }) =>
+    inputs.map((input) => (input.label === 'Office Move' ? 'project/completed' : ''));
+  const { app, plugin, uuid } = setup(['4', noChange, completeOfficeMove, ['complete', null]]);
+
+  await plugin.weeklyReview(app);
+
+  const officeMove = app.getNote(uuid.onHoldProject);
+  assert.ok(officeMove.tags.includes(`project/completed/${monthStamp}`));
+  assert.ok(officeMove.tasks.every((t) => t.completedAt));
+  const review = Array.from(app.store.values()).find((n) => n.tags.includes('weekly-reviews'));
+  assert.match(review.content, /Office Move\]\([^)]+\): On hold → Completed/);
+});
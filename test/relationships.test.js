@@ -0,0 +1,436 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createFakeApp, linkedUUIDs, sectionContent } from './helpers/fake-app.js';
+import { loadPlugin } from './helpers/load-plugin.js';
+import { setup } from './helpers/setup.js';
+
+test('getParentNotes and getChildNotes follow r/parent and r/child tags', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const parents = await plugin.getParentNotes(app, uuid.childProject);
+  assert.deepEqual(
+    parents.map((p) => p.uuid),
+    [uuid.parentProject],
+  );
+  assert.match(parents[0].url, new RegExp(`/notes/${uuid.parentProject}$`));
+
+  const children = await plugin.getChildNotes(app, uuid.parentProject);
+  assert.deepEqual(
+    children.map((c) => c.uuid),
+    [uuid.childProject],
+  );
+});
+
+test('setParentChildRelationship tags both notes and creates missing note-ids', async () => {
+  const { app, plugin, uuid } = setup();
+  const home = app.getNote(uuid.homeProject);
+  app.getNote(uuid.stalledProject).tags = ['project/focus'];
+
+  await plugin.setParentChildRelationship(app, uuid.stalledProject, uuid.homeProject);
+
+  const child = app.getNote(uuid.stalledProject);
+  const childIdTag = child.tags.find((t) => t.startsWith('note-id/'));
+  assert.ok(childIdTag, 'child gets a note-id tag');
+  assert.ok(child.tags.includes('r/parent/20250101000005'));
+  assert.ok(home.tags.includes(`r/child/${childIdTag.split('/')[1]}`));
+});
+
+test('setParentChildRelationship refuses notes of different types', async () => {
+  const { app, plugin, uuid } = setup();
+
+  await plugin.setParentChildRelationship(app, uuid.alice, uuid.parentProject);
+
+  assert.equal(app.alerts.length, 1);
+  assert.match(app.alerts[0], /note types do not match/);
+  assert.ok(!app.getNote(uuid.alice).tags.some((t) => t.startsWith('r/parent/')));
+});
+
+test('setParentChildRelationship refuses a link that would create a cycle', async () => {
+  const { app, plugin, uuid } = setup();
+  const grandchild = app.addNote({
+    name: 'Homepage Hero',
+    tags: ['project/active', 'note-id/20250101000030', 'r/parent/20250101000002'],
+  });
+  app.getNote(uuid.childProject).tags.push('r/child/20250101000030');
+
+  const linked = await plugin.setParentChildRelationship(app, uuid.parentProject, grandchild.uuid);
+
+  assert.equal(linked, false);
+  assert.match(app.alerts[0], /would create a cycle/);
+  assert.ok(!app.getNote(uuid.parentProject).tags.some((t) => t.startsWith('r/parent/')));
+  assert.ok(!grandchild.tags.some((t) => t.startsWith('r/child/')));
+});
+
+test('setParentChildRelationship allows a second parent', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const linked = await plugin.setParentChildRelationship(
+    app,
+    uuid.childProject,
+    uuid.stalledProject,
+  );
+
+  assert.equal(linked, true);
+  const parents = await plugin.getParentNotes(app, uuid.childProject);
+  assert.deepEqual(parents.map((p) => p.name).sort(), ['Hire Designer', 'Launch Website']);
+});
+
+test('Move Under… reparents a note with its subtree and refreshes all three notes', async () => {
+  const { app, plugin, uuid } = setup([() => ({ uuid: uuid.stalledProject })]);
+  const grandchild = app.addNote({
+    name: 'Homepage Hero',
+    tags: ['project/active', 'note-id/20250101000030', 'r/parent/20250101000002'],
+  });
+  const child = app.getNote(uuid.childProject);
+  child.tags.push('r/child/20250101000030');
+  child.content = '# Parent Notes\n';
+  app.getNote(uuid.stalledProject).content = '# Child Notes\n';
+
+  await plugin.noteOption['Move Under…'].call(plugin, app, uuid.childProject);
+
+  assert.ok(child.tags.includes('r/parent/20250101000003'));
+  assert.ok(!child.tags.includes('r/parent/20250101000001'));
+  assert.ok(child.tags.includes('r/child/20250101000030'));
+  assert.ok(grandchild.tags.includes('r/parent/20250101000002'));
+
+  assert.deepEqual(linkedUUIDs(sectionContent(child.content, 'Parent Notes')), [
+    uuid.stalledProject,
+  ]);
+  const designer = app.getNote(uuid.stalledProject).content;
+  assert.deepEqual(linkedUUIDs(sectionContent(designer, 'Child Notes')), [uuid.childProject]);
+  const launch = app.getNote(uuid.parentProject).content;
+  assert.equal(sectionContent(launch, 'Child Notes'), '_(No child notes)_');
+  assert.equal(
+    app.alerts.at(-1),
+    '✅ Moved under "Hire Designer" (detached from "Launch Website")',
+  );
+});
+
+test('moveNoteUnder leaves the note in place when the new parent is the wrong type', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const result = await plugin.moveNoteUnder(app, uuid.childProject, uuid.alice);
+
+  assert.equal(result, null);
+  assert.match(app.alerts[0], /note types do not match/);
+  assert.ok(app.getNote(uuid.childProject).tags.includes('r/parent/20250101000001'));
+  assert.ok(app.getNote(uuid.parentProject).tags.includes('r/child/20250101000002'));
+});
+
+test('addRelationshipByType links projects to people one way', async () => {
+  const { app, plugin, uuid } = setup();
+  const project = await app.notes.find(uuid.parentProject);
+
+  await plugin.addRelationshipByType(app, project, { uuid: uuid.alice });
+
+  assert.ok(app.getNote(uuid.parentProject).tags.includes('r/people/20250101000010'));
+  assert.ok(!app.getNote(uuid.alice).tags.some((t) => t.startsWith('r/project/')));
+});
+
+test('addRelationshipByType links non-project notes both ways', async () => {
+  const { app, plugin, uuid } = setup();
+  const alice = await app.notes.find(uuid.alice);
+
+  await plugin.addRelationshipByType(app, alice, { uuid: uuid.bob });
+
+  const bobIdTag = app.getNote(uuid.bob).tags.find((t) => t.startsWith('note-id/'));
+  assert.ok(app.getNote(uuid.alice).tags.includes(`r/people/${bobIdTag.split('/')[1]}`));
+  assert.ok(app.getNote(uuid.bob).tags.includes('r/people/20250101000010'));
+});
+
+test('getNoteRelationships labels parents, children, and reverse links', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const parentRelations = await plugin.getNoteRelationships(
+    app,
+    await app.notes.find(uuid.parentProject),
+  );
+  assert.deepEqual(
+    parentRelations.map((r) => r.label),
+    ['(Child) Write Copy'],
+  );
+
+  const aliceRelations = await plugin.getNoteRelationships(app, await app.notes.find(uuid.alice));
+  assert.deepEqual(
+    aliceRelations.map((r) => [r.type, r.label]),
+    [['other', 'Hire Designer']],
+  );
+});
+
+test('addRelationshipByType writes a role and mirrors its inverse between projects', async () => {
+  const { app, plugin, uuid } = setup();
+  const stalled = await app.notes.find(uuid.stalledProject);
+
+  await plugin.addRelationshipByType(app, stalled, { uuid: uuid.onHoldProject }, 'depends-on');
+
+  assert.ok(app.getNote(uuid.stalledProject).tags.includes('r/project/depends-on/20250101000004'));
+  assert.ok(app.getNote(uuid.onHoldProject).tags.includes('r/project/blocks/20250101000003'));
+
+  const relations = await plugin.getNoteRelationships(
+    app,
+    await app.notes.find(uuid.stalledProject),
+  );
+  assert.ok(
+    relations.some((r) => r.role === 'depends-on' && r.label === '(Depends on) Office Move'),
+  );
+
+  await plugin.removeRelationship(app, stalled, { type: 'project', uuid: uuid.onHoldProject });
+  assert.ok(!app.getNote(uuid.stalledProject).tags.some((t) => t.endsWith('/20250101000004')));
+  assert.ok(!app.getNote(uuid.onHoldProject).tags.some((t) => t.endsWith('/20250101000003')));
+});
+
+test('roles show up in relationship labels and Related People', async () => {
+  const { app, plugin, uuid } = setup();
+  const project = await app.notes.find(uuid.parentProject);
+
+  await plugin.addRelationshipByType(app, project, { uuid: uuid.alice }, 'owner');
+  await plugin.updateRelatedPeopleSection(app, uuid.parentProject);
+
+  assert.ok(app.getNote(uuid.parentProject).tags.includes('r/people/owner/20250101000010'));
+  const people = sectionContent(app.getNote(uuid.parentProject).content, 'Related People');
+  assert.match(people, /^- \[Alice\]\(.*\) — Owner$/);
+
+  const aliceRelations = await plugin.getNoteRelationships(app, await app.notes.find(uuid.alice));
+  assert.ok(aliceRelations.some((r) => r.label === '(Owner of) Launch Website'));
+});
+
+test('Update Tags lets the user pick a role for a new relationship', async () => {
+  const chooseOwner = (_title, { inputs }) => [
+    ...inputs.map((input) => {
+      if (input.label === 'Add Relationship') return { uuid: uuid.alice };
+      if (input.label === 'Relationship Role') return 'stakeholder';
+      return '';
+    }),
+    'done',
+  ];
+  const { app, plugin, uuid } = setup([chooseOwner]);
+
+  await plugin.noteOption['Update Tags'].call(plugin, app, uuid.homeProject);
+
+  assert.ok(app.getNote(uuid.homeProject).tags.includes('r/people/stakeholder/20250101000010'));
+});
+
+test('Update Tags builds a missing System Categories note instead of alerting', async () => {
+  const skipAll = (_title, { inputs }) => [...inputs.map(() => ''), 'done'];
+  const app = createFakeApp({
+    notes: [
+      { name: 'New Idea' },
+      { name: 'Garden', tags: ['d/home', 'project/active'] },
+      { name: 'Project Heading Template', tags: ['system'], content: '# Tasks\n' },
+    ],
+    promptResponses: [['d/home', 'project'], skipAll],
+  });
+  const plugin = loadPlugin();
+  const note = app.getNoteByName('New Idea');
+
+  await plugin.noteOption['Update Tags'].call(plugin, app, note.uuid);
+
+  assert.deepEqual(app.alerts, []);
+  assert.ok(app.getNote(note.uuid).tags.includes('d/home'));
+  assert.match(app.getNoteByName('System Categories').content, /"domain": \[\n\s+"home"/);
+});
+
+test('removeRelationship detaches a parent on both sides and updates the cache', async () => {
+  const { app, plugin, uuid } = setup();
+  await plugin._getCachedNotes(app);
+  const child = await app.notes.find(uuid.childProject);
+
+  await plugin.removeRelationship(app, child, { type: 'parent', uuid: uuid.parentProject });
+
+  assert.ok(!app.getNote(uuid.childProject).tags.includes('r/parent/20250101000001'));
+  assert.ok(!app.getNote(uuid.parentProject).tags.includes('r/child/20250101000002'));
+  const cachedParent = plugin._noteCache.find((n) => n.uuid === uuid.parentProject);
+  assert.ok(!cachedParent.tags.includes('r/child/20250101000002'));
+});
+
+test('clearAllTags can keep note-id and relationship tags', async () => {
+  const { app, plugin, uuid } = setup();
+  app.promptResponses.push('classification');
+
+  await plugin.clearAllTags(app, uuid.parentProject);
+
+  assert.deepEqual(app.getNote(uuid.parentProject).tags, [
+    'note-id/20250101000001',
+    'r/child/20250101000002',
+  ]);
+  assert.match(app.prompts[0].options.inputs[0].label, /1 other note is linked/);
+});
+
+test('clearAllTags detaches relationships on both sides before clearing', async () => {
+  const { app, plugin, uuid } = setup();
+  app.promptResponses.push('detach');
+
+  await plugin.clearAllTags(app, uuid.alice);
+
+  assert.deepEqual(app.getNote(uuid.alice).tags, []);
+  // Hire Designer's one-way link to Alice is gone too
+  assert.ok(!app.getNote(uuid.stalledProject).tags.includes('r/people/20250101000010'));
+});
+
+test('clearAllTags leaves linked notes untouched when clearing everything', async () => {
+  const { app, plugin, uuid } = setup();
+  app.promptResponses.push('all');
+
+  await plugin.clearAllTags(app, uuid.parentProject);
+
+  assert.deepEqual(app.getNote(uuid.parentProject).tags, []);
+  assert.ok(app.getNote(uuid.childProject).tags.includes('r/parent/20250101000001'));
+});
+
+test('buildRelationshipGraph walks relationships out to the requested number of hops', async () => {
+  const { app, plugin, uuid } = setup();
+  app.getNote(uuid.alice).tags.push('r/people/20250101000011');
+  app.getNote(uuid.bob).tags.push('note-id/20250101000011', 'r/people/20250101000010');
+
+  const oneHop = await plugin.buildRelationshipGraph(app, uuid.stalledProject, 1);
+  assert.deepEqual(
+    oneHop.nodes.map((n) => n.name),
+    ['Hire Designer', 'Alice'],
+  );
+  assert.deepEqual(oneHop.edges, [{ from: uuid.stalledProject, to: uuid.alice, label: 'people' }]);
+
+  const twoHops = await plugin.buildRelationshipGraph(app, uuid.stalledProject, 2);
+  assert.deepEqual(
+    twoHops.nodes.map((n) => [n.name, n.hops]),
+    [
+      ['Hire Designer', 0],
+      ['Alice', 1],
+      ['Bob', 2],
+    ],
+  );
+  assert.equal(twoHops.edges.length, 2);
+});
+
+test('buildRelationshipGraph draws parent/child edges from parent to child', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const graph = await plugin.buildRelationshipGraph(app, uuid.childProject, 1);
+
+  assert.deepEqual(graph.edges, [{ from: uuid.parentProject, to: uuid.childProject, label: null }]);
+});
+
+test('Relationship Map writes a Mermaid block styled by note type', async () => {
+  const { app, plugin, uuid } = setup();
+  app.promptResponses.push(['2', 'mermaid']);
+
+  await plugin.noteOption['Relationship Map'].call(plugin, app, uuid.stalledProject);
+
+  const map = sectionContent(app.getNote(uuid.stalledProject).content, 'Relationship Map');
+  assert.match(map, /^```mermaid\ngraph LR\n/);
+  assert.match(map, /n0\["Hire Designer"\]:::project/);
+  assert.match(map, /n1\["Alice"\]:::people/);
+  assert.match(map, /n0 -\.-\|people\| n1/);
+  assert.match(map, /classDef people fill:/);
+});
+
+test('Relationship Map can write Graphviz DOT instead', async () => {
+  const { app, plugin, uuid } = setup();
+  app.promptResponses.push(['1', 'dot']);
+
+  await plugin.noteOption['Relationship Map'].call(plugin, app, uuid.parentProject);
+
+  const map = sectionContent(app.getNote(uuid.parentProject).content, 'Relationship Map');
+  assert.match(map, /^```dot\ndigraph Relationships \{/);
+  assert.match(map, /n0 \[label="Launch Website", fillcolor="#dbeafe", penwidth=3\];/);
+  assert.match(map, /n0 -> n1;/);
+});
+
+test('Merge Into… moves tasks, content and tags, and repoints relationships', async () => {
+  const { app, plugin, uuid } = setup();
+  const duplicate = app.addNote({
+    name: 'Alice S.',
+    tags: ['reference/people/vendors', 'd/work', 'c/calls', 'note-id/20250101000050'],
+    content: 'Met at the conference\n- [ ] Send intro email',
+    tasks: [{ content: 'Send intro email' }],
+  });
+  const project = app.addNote({
+    name: 'Website Redesign',
+    tags: ['project/active', 'd/work', 'note-id/20250101000051', 'r/people/20250101000050'],
+    content: '# Related People\n',
+  });
+  app.promptResponses.push({ uuid: uuid.alice, name: 'Alice' });
+
+  await plugin.noteOption['Merge Into…'].call(plugin, app, duplicate.uuid);
+
+  const alice = app.getNote(uuid.alice);
+  assert.deepEqual(
+    alice.tasks.map((t) => t.content),
+    ['Send intro email'],
+  );
+  assert.match(sectionContent(alice.content, 'Merged from Alice S.'), /^Met at the conference$/);
+  assert.ok(alice.tags.includes('c/calls'));
+  assert.ok(!alice.tags.includes('reference/people/vendors'));
+
+  assert.ok(project.tags.includes('r/people/20250101000010'));
+  assert.ok(!project.tags.includes('r/people/20250101000050'));
+  assert.match(sectionContent(project.content, 'Related People'), /\[Alice\]/);
+
+  assert.ok(duplicate.tags.includes('archive'));
+  assert.ok(duplicate.tasks.every((t) => t.dismissedAt));
+  assert.equal(app.navigations.at(-1), `https://www.amplenote.com/notes/${uuid.alice}`);
+});
+
+test('mergeNotes drops generated sections and nested task lines and demotes headings', async () => {
+  const { app, plugin, uuid } = setup();
+  const duplicate = app.addNote({
+    name: 'Alice S.',
+    tags: ['reference/people/team', 'note-id/20250101000050'],
+    content:
+      '# Related Projects\n- [Old Project](https://www.amplenote.com/notes/x)\n' +
+      '# Notes\nPrefers email\n- [ ] Send intro email\n    - with the deck attached\n' +
+      '- Likes coffee\n## Kids\nTwo',
+    tasks: [{ content: 'Send intro email' }],
+  });
+
+  await plugin.mergeNotes(app, duplicate.uuid, uuid.alice);
+
+  const merged = app.getNote(uuid.alice).content.split('# Merged from Alice S.\n')[1];
+  assert.equal(merged, '## Notes\nPrefers email\n- Likes coffee\n### Kids\nTwo');
+});
+
+test('mergeNotes carries parent/child links over to the target', async () => {
+  const { app, plugin, uuid } = setup();
+  const target = app.addNote({
+    name: 'Copywriting',
+    tags: ['project/active', 'd/work', 'note-id/20250101000060'],
+  });
+
+  await plugin.mergeNotes(app, uuid.childProject, target.uuid);
+
+  assert.ok(target.tags.includes('r/parent/20250101000001'));
+  const parentTags = app.getNote(uuid.parentProject).tags;
+  assert.ok(parentTags.includes('r/child/20250101000060'));
+  assert.ok(!parentTags.includes('r/child/20250101000002'));
+  assert.ok(!app.getNote(uuid.childProject).tags.some((t) => t.startsWith('r/')));
+});
+
+test('mergeNotes refuses notes of different types', async () => {
+  const { app, plugin, uuid } = setup();
+
+  const result = await plugin.mergeNotes(app, uuid.alice, uuid.parentProject);
+
+  assert.equal(result, null);
+  assert.match(app.alerts[0], /note types do not match/);
+  assert.ok(!app.getNote(uuid.alice).tags.includes('archive'));
+});
+
+test('mergeNotes refuses a merge whose parent/child links would create a cycle', async () => {
+  const { app, plugin, uuid } = setup();
+  const target = app.addNote({
+    name: 'Homepage Draft',
+    tags: ['project/active', 'd/work', 'note-id/20250101000061', 'r/parent/20250101000002'],
+  });
+  app.getNote(uuid.childProject).tags.push('r/child/20250101000061');
+  const targetTags = [...target.tags];
+
+  // Launch Website's child (Write Copy) is Homepage Draft's parent
+  const result = await plugin.mergeNotes(app, uuid.parentProject, target.uuid);
+
+  assert.equal(result, null);
+  assert.match(app.alerts[0], /Cannot merge Launch Website into Homepage Draft/);
+  assert.match(app.alerts[0], /• Cannot make Write Copy a child of Homepage Draft/);
+  assert.deepEqual(target.tags, targetTags);
+  assert.ok(!app.getNote(uuid.parentProject).tags.includes('archive'));
+  assert.ok(app.getNote(uuid.childProject).tags.includes('r/parent/20250101000001'));
+});
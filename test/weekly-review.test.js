@@ -0,0 +1,81 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setup } from './helpers/setup.js';
+
+afterEach(() => mock.timers.reset());
+
+// Answers a project review prompt, setting the named projects to the given statuses
+const setStatuses =
+  (statuses = {}) =>
+  (_title, { inputs }) =>
+    inputs.map((input) => statuses[input.label] || '');
+
+function reviewNote(app) {
+  return Array.from(app.store.values()).find((n) => n.tags.includes('weekly-reviews')) || null;
+}
+
+test('weeklyReview rejects a weeks answer that is not a whole number of 1 or more', async () => {
+  for (const answer of ['soon', '0', '-2']) {
+    const { app, plugin } = setup([answer]);
+
+    await plugin.weeklyReview(app);
+
+    assert.deepEqual(app.alerts, ['❌ Please enter a whole number of weeks (1 or more).']);
+    assert.equal(app.prompts.length, 1);
+    assert.equal(reviewNote(app), null);
+  }
+});
+
+test('weeklyReview stops without writing anything when a step is cancelled', async () => {
+  const { app, plugin, uuid } = setup(['4', setStatuses({ 'Hire Designer': 'project/active' })]);
+
+  await plugin.weeklyReview(app);
+
+  assert.equal(app.prompts.length, 3, 'weeks, stalled projects, then the cancelled step 3');
+  assert.match(app.prompts[2].title, /^Step 3 of 5: 1 on-hold\/someday projects untouched/);
+  assert.equal(reviewNote(app), null);
+  assert.deepEqual(app.navigations, []);
+  // Changes picked before the cancelled step stay applied
+  assert.ok(app.getNote(uuid.stalledProject).tags.includes('project/active'));
+  assert.ok(app.getNote(uuid.onHoldProject).tags.includes('project/on-hold'));
+});
+
+test('weeklyReview applies status changes and writes a dated summary note with overdue tasks', async () => {
+  mock.timers.enable({ apis: ['Date'], now: new Date(2025, 10, 26, 10, 0, 0) });
+  const { app, plugin, uuid } = setup([
+    '4',
+    setStatuses({ 'Hire Designer': 'project/someday' }),
+    setStatuses({ 'Office Move': 'project/active' }),
+  ]);
+  const [overdue] = app.getNote(uuid.homeProject).tasks;
+  overdue.deadline = Math.floor(new Date(2025, 10, 20, 17, 0, 0).getTime() / 1000);
+
+  await plugin.weeklyReview(app);
+
+  assert.ok(app.getNote(uuid.stalledProject).tags.includes('project/someday'));
+  assert.ok(!app.getNote(uuid.stalledProject).tags.includes('project/focus'));
+  assert.ok(app.getNote(uuid.onHoldProject).tags.includes('project/active'));
+
+  const note = reviewNote(app);
+  assert.equal(note.name, 'Weekly Review: November 26th, 2025');
+  assert.deepEqual(note.tags, ['weekly-reviews']);
+  assert.deepEqual(app.navigations, [`https://www.amplenote.com/notes/${note.uuid}`]);
+
+  const headings = note.content.match(/^# .*$/gm);
+  assert.deepEqual(headings, [
+    '# Inbox Cleanup',
+    '# Projects Without Next Actions',
+    '# Dormant Projects (4+ weeks)',
+    '# Status Changes',
+    '# Overdue Tasks',
+  ]);
+  assert.match(note.content, /- \[Hire Designer\]\([^)]+\): Focus → Someday/);
+  assert.match(note.content, /- \[Office Move\]\([^)]+\): On hold → Active/);
+  assert.match(
+    note.content,
+    /# Overdue Tasks\n- \(Due [^)]+, 6d late\) Call the contractor @calls — \[Fix Fence\]/,
+  );
+  assert.match(app.alerts[0], /^Step 1 of 5: Inbox cleanup/);
+  assert.match(app.alerts[1], /^Step 4 of 5: 1 overdue deadline tasks/);
+});